@@ -0,0 +1,262 @@
+// Helpers to read and write single values of geometry attributes on the CPU.
+// They work for attributes with their own array as well as for attributes of an InterleavedBuffer,
+// and convert the values of normalized integer attributes from and to floats.
+
+/**
+ * Returns the number of vertices (or instances) stored in an attribute.
+ * @param {Object} attribute the attribute ({ 'array': [...], 'itemSize': .. } or { 'data': interleavedBuffer, 'itemSize': .., 'offset': .. })
+ * @returns {number} the number of elements of the attribute.
+ */
+function getAttributeCount(attribute) {
+	return (attribute.data !== undefined) ? attribute.data.count : attribute.array.length / attribute.itemSize;
+}
+
+/**
+ * Returns one component of an element of an attribute, e.g. the y coordinate of a position.
+ * @param {Object} attribute the attribute.
+ * @param {number} index the index of the element (vertex).
+ * @param {number} component the component within the element (0 = x, 1 = y, ...).
+ * @returns {number} the value, normalized integers are converted to floats.
+ */
+function getAttributeComponent(attribute, index, component) {
+	const array = (attribute.data !== undefined) ? attribute.data.array : attribute.array;
+	const value = array[getArrayIndex(attribute, index, component)];
+
+	return isNormalized(attribute) ? denormalize(value, array) : value;
+}
+
+/**
+ * Sets one component of an element of an attribute. The attribute has to be flagged with `needsUpdate` to upload the change.
+ * @param {Object} attribute the attribute.
+ * @param {number} index the index of the element (vertex).
+ * @param {number} component the component within the element (0 = x, 1 = y, ...).
+ * @param {number} value the value, floats are converted for normalized integer attributes.
+ */
+function setAttributeComponent(attribute, index, component, value) {
+	const array = (attribute.data !== undefined) ? attribute.data.array : attribute.array;
+
+	array[getArrayIndex(attribute, index, component)] = isNormalized(attribute) ? normalize(value, array) : value;
+}
+
+/**
+ * Reads the first three components of an element of an attribute into a vector.
+ * @param {Object} attribute the attribute.
+ * @param {number} index the index of the element (vertex).
+ * @param {Vector3} target the vector to store the result in.
+ * @returns {Vector3} the target vector.
+ */
+function getAttributeVector3(attribute, index, target) {
+	return target.set(
+		getAttributeComponent(attribute, index, 0),
+		attribute.itemSize > 1 ? getAttributeComponent(attribute, index, 1) : 0,
+		attribute.itemSize > 2 ? getAttributeComponent(attribute, index, 2) : 0
+	);
+}
+
+/**
+ * Writes a vector to the first three components of an element of an attribute.
+ * @param {Object} attribute the attribute.
+ * @param {number} index the index of the element (vertex).
+ * @param {Vector3} vector the vector to write.
+ */
+function setAttributeVector3(attribute, index, vector) {
+	setAttributeComponent(attribute, index, 0, vector.x);
+	if (attribute.itemSize > 1) setAttributeComponent(attribute, index, 1, vector.y);
+	if (attribute.itemSize > 2) setAttributeComponent(attribute, index, 2, vector.z);
+}
+
+/**
+ * Creates an empty attribute with its own array that has the same item size, component type and flags as the given attribute.
+ * Interleaved attributes result in a tightly packed attribute.
+ * @param {Object} attribute the attribute to copy the layout from.
+ * @param {number} count the number of elements of the new attribute.
+ * @returns {Object} the new attribute.
+ */
+function createAttributeLike(attribute, count) {
+	const array = (attribute.data !== undefined) ? attribute.data.array : attribute.array;
+	const ArrayType = ArrayBuffer.isView(array) ? array.constructor : Float32Array;
+
+	const result = { 'array': new ArrayType(count * attribute.itemSize), 'itemSize': attribute.itemSize };
+	for (const key of ['normalized', 'normalize', 'integer', 'type', 'usage', 'divisor']) {
+		if (attribute[key] !== undefined) result[key] = attribute[key];
+	}
+
+	return result;
+}
+
+/**
+ * Copies the raw values of an element from one attribute to another attribute with the same item size.
+ * @param {Object} source the attribute to copy from.
+ * @param {number} sourceIndex the index of the element in the source attribute.
+ * @param {Object} target the attribute to copy to.
+ * @param {number} targetIndex the index of the element in the target attribute.
+ */
+function copyAttributeElement(source, sourceIndex, target, targetIndex) {
+	const sourceArray = (source.data !== undefined) ? source.data.array : source.array;
+	const targetArray = (target.data !== undefined) ? target.data.array : target.array;
+
+	for (let c = 0; c < source.itemSize; c++) {
+		targetArray[getArrayIndex(target, targetIndex, c)] = sourceArray[getArrayIndex(source, sourceIndex, c)];
+	}
+}
+
+/**
+ * Returns a copy of an attribute with its own typed array (Float32Array for plain arrays), see createAttributeLike.
+ * @param {Object} attribute the attribute to copy, interleaved or with its own array.
+ * @param {ArrayLike<number>|null} [indices=null] the elements to copy in their new order, e.g. an index to de-index the attribute.
+ * Default: all elements in their order
+ * @returns {Object} the copy.
+ */
+function copyAttribute(attribute, indices = null) {
+	const count = (indices !== null) ? indices.length : getAttributeCount(attribute);
+	const result = createAttributeLike(attribute, count);
+
+	for (let i = 0; i < count; i++) {
+		copyAttributeElement(attribute, (indices !== null) ? indices[i] : i, result, i);
+	}
+
+	return result;
+}
+
+/**
+ * Returns a copy of an attribute with the float values of its elements in a Float32Array, e.g. to transform
+ * normalized integer data without clamping it to [-1, 1] or [0, 1]. Interleaved attributes result in a tightly packed attribute.
+ * @param {Object} attribute the attribute to convert, interleaved or with its own array.
+ * @returns {Object} the float attribute.
+ */
+function toFloatAttribute(attribute) {
+	const count = getAttributeCount(attribute);
+	const result = { 'array': new Float32Array(count * attribute.itemSize), 'itemSize': attribute.itemSize };
+	for (const key of ['usage', 'divisor']) {
+		if (attribute[key] !== undefined) result[key] = attribute[key];
+	}
+
+	for (let i = 0; i < count; i++) {
+		for (let c = 0; c < attribute.itemSize; c++) {
+			result.array[i * attribute.itemSize + c] = getAttributeComponent(attribute, i, c);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Returns if the integer values of an attribute are normalized. `normalize` is still accepted for older code.
+ * @param {Object} attribute the attribute.
+ * @returns {boolean} true if the values are normalized.
+ */
+function isNormalized(attribute) {
+	return attribute.normalized === true || attribute.normalize === true;
+}
+
+/**
+ * Returns if an attribute holds per-instance data.
+ * @param {Object} attribute the attribute.
+ * @returns {boolean} true if the attribute has a divisor.
+ */
+function isPerInstance(attribute) {
+	return attribute.divisor !== undefined && attribute.divisor > 0;
+}
+
+/**
+ * Returns a key of the values of an element in one or more attributes, rounded to the precision.
+ * Elements with equal values have equal keys.
+ * @param {Object[]} attributes the attributes, e.g. the position, normal and uv of a vertex.
+ * @param {number} index the index of the element (vertex).
+ * @param {number} precision the precision to compare the values with.
+ * @returns {string} the key.
+ */
+function getVertexHash(attributes, index, precision) {
+	const values = [];
+
+	for (const attribute of attributes) {
+		for (let c = 0; c < attribute.itemSize; c++) {
+			values.push(Math.round(getAttributeComponent(attribute, index, c) / precision));
+		}
+	}
+
+	return values.join(',');
+}
+
+/**
+ * Returns for each element of an attribute the index of the first element with the same values (rounded to the precision),
+ * e.g. to find vertices at the same position that are not shared because of different normals or uvs.
+ * @param {Object} attribute the attribute, usually the positions.
+ * @param {number} [precision=1e-4] the precision to compare the values with.
+ * @returns {Uint32Array} the index of the first equal element for each element.
+ */
+function getVertexIds(attribute, precision = 1e-4) {
+	const count = getAttributeCount(attribute);
+	const ids = new Uint32Array(count);
+	const idOfValues = new Map();
+
+	for (let i = 0; i < count; i++) {
+		const hash = getVertexHash([attribute], i, precision);
+
+		if (!idOfValues.has(hash)) idOfValues.set(hash, i);
+		ids[i] = idOfValues.get(hash);
+	}
+
+	return ids;
+}
+
+export {
+	getAttributeCount,
+	getAttributeComponent,
+	setAttributeComponent,
+	getAttributeVector3,
+	setAttributeVector3,
+	createAttributeLike,
+	copyAttributeElement,
+	copyAttribute,
+	toFloatAttribute,
+	isNormalized,
+	isPerInstance,
+	getVertexHash,
+	getVertexIds,
+}
+
+// --- Utilities below ---
+
+function getArrayIndex(attribute, index, component) {
+	if (attribute.data !== undefined) {
+		return index * attribute.data.stride + (attribute.offset || 0) + component;
+	}
+	return index * attribute.itemSize + component;
+}
+
+/**
+ * Converts a normalized integer to a float in [0, 1] (unsigned) or [-1, 1] (signed), like WebGL does.
+ * @param {number} value the integer value.
+ * @param {TypedArray} array the array the value is stored in.
+ * @returns {number} the float value.
+ */
+function denormalize(value, array) {
+	switch (array.constructor) {
+		case Uint8Array: case Uint8ClampedArray: return value / 255.0;
+		case Uint16Array: return value / 65535.0;
+		case Uint32Array: return value / 4294967295.0;
+		case Int8Array: return Math.max(value / 127.0, - 1.0);
+		case Int16Array: return Math.max(value / 32767.0, - 1.0);
+		case Int32Array: return Math.max(value / 2147483647.0, - 1.0);
+		default: return value;
+	}
+}
+
+/**
+ * Converts a float in [0, 1] (unsigned) or [-1, 1] (signed) to a normalized integer.
+ * @param {number} value the float value.
+ * @param {TypedArray} array the array the value is stored in.
+ * @returns {number} the integer value.
+ */
+function normalize(value, array) {
+	switch (array.constructor) {
+		case Uint8Array: case Uint8ClampedArray: return Math.round(value * 255.0);
+		case Uint16Array: return Math.round(value * 65535.0);
+		case Uint32Array: return Math.round(value * 4294967295.0);
+		case Int8Array: return Math.round(value * 127.0);
+		case Int16Array: return Math.round(value * 32767.0);
+		case Int32Array: return Math.round(value * 2147483647.0);
+		default: return value;
+	}
+}
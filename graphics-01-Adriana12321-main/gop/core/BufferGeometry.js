@@ -1,3 +1,11 @@
+import { trackResource, untrackResource, trackResize } from "./ResourceTracker.js";
+import { getAttributeCount, getAttributeVector3, setAttributeVector3, copyAttribute, toFloatAttribute, isNormalized, isPerInstance } from "./AttributeUtils.js";
+import { Box3 } from "../math/Box3.js";
+import { Sphere } from "../math/Sphere.js";
+import { Vector3 } from "../math/Vector3.js";
+import { Matrix3 } from "../math/Matrix3.js";
+import { Matrix4 } from "../math/Matrix4.js";
+
 /**
  * Represents a geometry object for rendering in WebGL.
  */
@@ -12,7 +20,17 @@ class BufferGeometry {
 
 		this.index = null; // index buffer of the geometry (optional)
 		this.attributes = {}; // attributes of the geometry (e.g. position, normal, color, etc.)
+		this.morphAttributes = {}; // morph targets: lists of attributes with per-vertex deltas (e.g. { position: [target0, target1] })
+		this.attributeLayout = null; // optional attribute name -> shader location mapping (object or WebGLProgram)
+		this.drawMode = 'TRIANGLES'; // primitive type used for drawing (e.g. POINTS, LINES, TRIANGLES, etc.)
+		this.drawRange = { start: 0, count: Infinity }; // range of vertices (or indices) that is drawn
+		this.groups = []; // parts of the geometry that are drawn with different programs ({ start, count, materialIndex })
+
+		this.boundingBox = null; // computed by computeBoundingBox()
+		this.boundingSphere = null; // computed by computeBoundingSphere()
 		this.gl = null; // the WebGL context
+		this.vao = null; // the vertex array object (VAO) holding the attribute bindings
+		this.vaoNeedsUpdate = false; // set when attributes or the index are replaced or removed after init
 
 		this.isInitialized = false;
 
@@ -21,7 +39,8 @@ class BufferGeometry {
 
 	/**
 	 * Initializes the OpenGL buffers for the geometry. Creates, Binds and Maps fills the buffers for the attributes.
-	 * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+	 * The attribute bindings and the index buffer are recorded once in a vertex array object (VAO).
+	 * @param {WebGL2RenderingContext} gl The WebGL2RenderingContext to use.
 	 */
 	init(_gl) {
 		if (this.isInitialized === false) {
@@ -31,36 +50,232 @@ class BufferGeometry {
 				console.error(`OpenGL context in init for object ${this.type} ${this.name} is not valid!`);
 				throw new Error(`OpenGL context in init for object ${this.type} ${this.name} is not valid!`);
 			}
+			// Verify that we have a WebGL2 context (VAOs are not part of WebGL1)
+			if (typeof _gl.createVertexArray !== 'function') {
+				console.error(`Vertex array objects in init for object ${this.type} ${this.name} require a WebGL2 context!`);
+				throw new Error(`Vertex array objects in init for object ${this.type} ${this.name} require a WebGL2 context!`);
+			}
 			this.gl = _gl;
 			const gl = this.gl;
 
+			try {
+				// iterate over attribute keys, interleaved attributes share the buffer of their InterleavedBuffer
+				const attributes = this.getBoundAttributes();
+				for (var key in attributes) {
+					const source = getBufferSource(attributes[key]);
+					if (source.buffer === undefined) {
+						initBufferSource(gl, source);
+					}
+				}
+
+				const attrCount = this.updateCounts();
+
+				if (this.hasIndex) {
+					this.verifyIndex(attrCount);
 
-			let attrCount = 0; // count the number elements in an attribute
+					this.index.buffer = createIndex(gl, this.index.array, this.index.usage);
+					this.index.byteLength = this.index.array.byteLength;
+					this.index.version = 0;
+					this.index.needsUpdate = false;
+				}
 
-			// iterate over attribute keys
-			for (var key in this.attributes) {
-				const attribute = this.attributes[key];
-				attribute.buffer = createBuffer(gl, attribute.array);
-				attribute.count = attribute.array.length / attribute.itemSize;
-				attrCount = attribute.count;
+				// record the attribute bindings and the index buffer in the VAO
+				this.vao = gl.createVertexArray();
+				trackResource('vertexArrays');
+				this.setupVertexArray();
+			} catch (error) {
+				this.dispose(); // free the buffers that were created before the error
+				throw error;
 			}
 
-			// ERROR checking
-			// verify that all attributes have the same count!!!
-			for (var key in this.attributes) {
-				const attribute = this.attributes[key];
-				if (attribute.count !== attrCount) {
-					console.error(`attribute ${key} has different count ${attribute.count} than other attributes ${attrCount}`);
-					throw new Error('All attributes must have the same count');
+			this.isInitialized = true;
+			this.vaoNeedsUpdate = false;
+		}
+	}
+
+	/**
+	 * Re-uploads the data of all attributes and the index that are flagged with `needsUpdate`.
+	 * Only the `updateRange` ({ offset, count } in array elements) is uploaded if one is set, otherwise the whole array.
+	 * The buffer is reallocated if the size of the array changed. Called automatically before drawing.
+	 */
+	update() {
+		const gl = this.gl;
+		let layoutChanged = false; // the VAO has to be recorded again for new or reallocated buffers
+		let countChanged = false;
+
+		const attributes = this.getBoundAttributes();
+		for (var key in attributes) {
+			const source = getBufferSource(attributes[key]);
+
+			if (source.buffer === undefined) { // attribute added after init
+				initBufferSource(gl, source);
+				layoutChanged = countChanged = true;
+			} else if (source.needsUpdate === true) {
+				if (updateBuffer(gl, gl.ARRAY_BUFFER, source)) {
+					layoutChanged = countChanged = true;
 				}
 			}
+		}
+
+		if (countChanged) this.updateCounts();
 
-			if (this.hasIndex) {
-				this.index.buffer = createIndex(gl, this.index.array);
-				this.index.count = this.index.array.length;
+		if (this.hasIndex && (this.index.buffer === undefined || this.index.needsUpdate === true || countChanged)) {
+			this.index.array = toIndexArray(this.index.array);
+			this.verifyIndex(this.updateCounts());
+
+			if (this.index.buffer === undefined) { // index added after init
+				this.index.buffer = createIndex(gl, this.index.array, this.index.usage);
+				this.index.byteLength = this.index.array.byteLength;
+				this.index.version = 0;
+				this.index.needsUpdate = false;
+				layoutChanged = true;
+			} else if (this.index.needsUpdate === true) {
+				updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, this.index);
 			}
-			this.isInitialized = true;
 		}
+
+		if (this.vaoNeedsUpdate) { // recreate the VAO so that no binding of a removed attribute stays enabled
+			this.gl.deleteVertexArray(this.vao);
+			this.vao = this.gl.createVertexArray();
+			this.vaoNeedsUpdate = false;
+			layoutChanged = true;
+		}
+
+		if (layoutChanged) this.setupVertexArray();
+	}
+
+	/**
+	 * Updates the element counts of the attributes and verifies that all per-vertex attributes (including the morph targets)
+	 * have the same count. Per-instance attributes (with a divisor) are not compared to the vertex count.
+	 * @returns {number} the number of vertices of the geometry.
+	 */
+	updateCounts() {
+		let attrCount = 0; // count the number elements in an attribute
+
+		const attributes = this.getBoundAttributes();
+		for (var key in attributes) {
+			const attribute = attributes[key];
+			attribute.count = getAttributeCount(attribute);
+			if (isPerInstance(attribute) === false) attrCount = attribute.count;
+		}
+
+		// ERROR checking
+		// verify that all attributes have the same count!!!
+		for (var key in attributes) {
+			const attribute = attributes[key];
+			if (isPerInstance(attribute) === false && attribute.count !== attrCount) {
+				console.error(`attribute ${key} has different count ${attribute.count} than other attributes ${attrCount}`);
+				throw new Error('All attributes must have the same count');
+			}
+		}
+
+		return attrCount;
+	}
+
+	/**
+	 * Verifies that the index only references existing vertices and updates the index count and type.
+	 * @param {number} attrCount the number of vertices of the geometry.
+	 */
+	verifyIndex(attrCount) {
+		const maxIndex = getMaxIndex(this.index.array);
+		if (maxIndex >= attrCount) {
+			console.error(`index of ${this.type} ${this.name} references vertex ${maxIndex} but the attributes only have ${attrCount} vertices`);
+			throw new Error('Index references vertices outside of the attributes');
+		}
+
+		this.index.count = this.index.array.length;
+		this.index.type = this.gl[typedArrayTypes[this.index.array.constructor.name]];
+	}
+
+	/**
+	 * Records the attribute bindings and the index buffer in the VAO of the geometry.
+	 * Called by init() and again whenever the attribute layout or the buffers change.
+	 */
+	setupVertexArray() {
+		const gl = this.gl;
+
+		gl.bindVertexArray(this.vao);
+
+		const attributes = this.getBoundAttributes();
+		for (var key in attributes) {
+			const attribute = attributes[key];
+			const location = this.getAttributeLocation(key);
+
+			// morph targets beyond the slots with a location are not blended by the program
+			if (location === undefined && this.attributes[key] !== attribute) continue;
+			if (location === undefined) {
+				console.error(`Attribute ${key} of ${this.type} ${this.name} has no shader location! Use registerAttribLocation or setAttributeLayout.`);
+				throw new Error(`Attribute ${key} of ${this.type} ${this.name} has no shader location!`);
+			}
+			if (location === -1) continue; // not used by the program (e.g. optimized out)
+
+			const source = getBufferSource(attribute);
+			const type = getComponentType(gl, attribute);
+			let stride = 0, offset = 0; // in bytes, 0 for tightly packed attributes
+			if (attribute.data !== undefined) {
+				stride = attribute.data.stride * attribute.data.array.BYTES_PER_ELEMENT;
+				offset = (attribute.offset || 0) * attribute.data.array.BYTES_PER_ELEMENT;
+			}
+			useBuffer(gl, source.buffer, attribute.itemSize, location, isNormalized(attribute), type, attribute.integer === true, stride, offset);
+			gl.vertexAttribDivisor(location, attribute.divisor || 0);
+		}
+
+		if (this.hasIndex) {
+			gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.index.buffer);
+		}
+
+		gl.bindVertexArray(null);
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null); // unbind after the VAO, otherwise the VAO loses the index buffer
+	}
+
+	/**
+	 * Frees the GPU resources (buffers and VAO) of the geometry. The geometry keeps its data
+	 * and is initialized again if it is drawn with a WebGL context afterwards.
+	 * Also frees the resources of a geometry whose init() failed partway.
+	 */
+	dispose() {
+		if (this.gl === null) return;
+
+		const gl = this.gl;
+
+		const attributes = this.getBoundAttributes();
+		for (var key in attributes) {
+			deleteBuffer(gl, getBufferSource(attributes[key])); // skips interleaved buffers deleted with another attribute
+		}
+
+		if (this.hasIndex) {
+			deleteBuffer(gl, this.index);
+		}
+
+		if (this.vao !== null) {
+			gl.deleteVertexArray(this.vao);
+			untrackResource('vertexArrays');
+		}
+
+		this.vao = null;
+		this.gl = null;
+		this.isInitialized = false;
+		this.vaoNeedsUpdate = false;
+	}
+
+	/**
+	 * Frees the buffer of an attribute (or index) that was replaced or removed after init. The buffer of an
+	 * InterleavedBuffer is kept while other attributes of the geometry still use it. The VAO is recorded again
+	 * at the next update.
+	 * @param {Object} previous the replaced attribute or index, may be undefined or null.
+	 */
+	releasePrevious(previous) {
+		if (this.isInitialized === false || previous === undefined || previous === null) return;
+
+		const source = getBufferSource(previous);
+		const attributes = this.getBoundAttributes();
+		for (var key in attributes) {
+			if (getBufferSource(attributes[key]) === source) return; // still in use
+		}
+		if (source === this.index) return;
+
+		deleteBuffer(this.gl, source);
+		this.vaoNeedsUpdate = true;
 	}
 
 	/**
@@ -69,6 +284,49 @@ class BufferGeometry {
 	 */
 	draw(_gl = null) {
 
+		this.prepareDraw(_gl);
+		this.drawElementRange(this.drawRange.start, this.drawRange.count);
+
+	}
+
+	/**
+	 * Draw a single group of the geometry with WebGL. Only the part of the group within the draw range is drawn.
+	 * @param {Object} group the group to draw ({ start, count, materialIndex }).
+	 * @param {WebGLContext} [_gl=null] the WebGL context. Must be valid on the first call because OpenGL buffers are initialized at the first call. 
+	 */
+	drawGroup(group, _gl = null) {
+
+		this.prepareDraw(_gl);
+		this.drawElementRange(group.start, group.count);
+
+	}
+
+	/**
+	 * Draw all groups of the geometry, each with the program of its materialIndex.
+	 * @param {WebGLProgram[]} programs the programs to draw with, indexed by the materialIndex of the groups.
+	 * @param {WebGLContext} [_gl=null] the WebGL context. Must be valid on the first call because OpenGL buffers are initialized at the first call. 
+	 */
+	drawGroups(programs, _gl = null) {
+
+		for (const group of this.groups) {
+			const program = programs[group.materialIndex];
+			if (program === undefined) {
+				console.error(`No program for materialIndex ${group.materialIndex} of ${this.type} ${this.name}!`);
+				throw new Error(`No program for materialIndex ${group.materialIndex} of ${this.type} ${this.name}!`);
+			}
+
+			program.use();
+			this.drawGroup(group, _gl);
+		}
+
+	}
+
+	/**
+	 * Initializes the geometry if a context is given and verifies that it can be drawn.
+	 * @param {WebGLContext} [_gl=null] the WebGL context.
+	 */
+	prepareDraw(_gl = null) {
+
 		if (_gl !== null) {
 			this.init(_gl);
 		}
@@ -76,30 +334,86 @@ class BufferGeometry {
 		if (this.isInitialized === false) {
 			console.error(`Geometry (${this.type}) has not been initialized before drawing!`);
 			throw new Error(`ERROR: ${this.type} not initialized!`);
-			return;
 		}
 
+		this.update();
+
+	}
+
+	/**
+	 * Issues the draw call for a range of vertices (or indices for indexed geometries), clamped to the draw range.
+	 * @param {number} start the first vertex (or index) to draw.
+	 * @param {number} count the number of vertices (or indices) to draw.
+	 */
+	drawElementRange(start, count) {
+
 		const gl = this.gl;
 
-		// bind buffers and map them to shader/program attributes
-		for (var key in this.attributes) {
-			const attribute = this.attributes[key];
-			useBuffer(this.gl, attribute.buffer, attribute.itemSize, getAttribLocation(key), attribute.normalize || false);
-		}
+		const elementCount = this.hasIndex ? this.index.count : this.attributes["position"].count;
+		const rangeStart = Math.max(start, this.drawRange.start);
+		const rangeEnd = Math.min(start + count, this.drawRange.start + this.drawRange.count, elementCount);
+
+		if (rangeEnd <= rangeStart) return; // nothing to draw
 
+		// the VAO restores all attribute bindings and the index buffer
+		gl.bindVertexArray(this.vao);
 
-		if (this.hasIndex) { // use index buffer for drawing
-			this.gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.index.buffer);
-			this.gl.drawElements(this.gl.TRIANGLES, this.index.count, this.gl.UNSIGNED_SHORT, 0);
+		this.drawCall(gl[this.drawMode], rangeStart, rangeEnd - rangeStart);
+
+		gl.bindVertexArray(null);
+
+	}
+
+	/**
+	 * Issues the WebGL draw call while the VAO is bound. Overridden by InstancedBufferGeometry.
+	 * @param {number} mode the primitive type, e.g. gl.TRIANGLES.
+	 * @param {number} start the first vertex (or index) to draw.
+	 * @param {number} count the number of vertices (or indices) to draw.
+	 */
+	drawCall(mode, start, count) {
+
+		const gl = this.gl;
+
+		if (this.hasIndex) { // use index buffer for drawing, the offset is in bytes
+			gl.drawElements(mode, count, this.index.type, start * this.index.array.BYTES_PER_ELEMENT);
 		} else { // draw without index buffer 
-			this.gl.drawArrays(this.gl.TRIANGLES, 0, this.attributes["position"].count);
+			gl.drawArrays(mode, start, count);
 		}
 
-		// disable buffers and shader/program attributes
-		for (var key in this.attributes) {
-			const attribute = this.attributes[key];
-			disableBuffer(this.gl, getAttribLocation(key));
-		}
+	}
+
+	/**
+	 * Sets the range of vertices (or indices for indexed geometries) that is drawn.
+	 * @param {number} start the first vertex (or index) to draw.
+	 * @param {number} [count=Infinity] the number of vertices (or indices) to draw.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	setDrawRange(start, count = Infinity) {
+
+		this.drawRange.start = start;
+		this.drawRange.count = count;
+		return this;
+
+	}
+
+	/**
+	 * Adds a group, a part of the geometry that can be drawn with its own program.
+	 * @param {number} start the first vertex (or index) of the group.
+	 * @param {number} count the number of vertices (or indices) of the group.
+	 * @param {number} [materialIndex=0] the index of the program used to draw the group (see drawGroups).
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	addGroup(start, count, materialIndex = 0) {
+
+		this.groups.push({ 'start': start, 'count': count, 'materialIndex': materialIndex });
+		return this;
+
+	}
+
+	clearGroups() {
+
+		this.groups = [];
+		return this;
 
 	}
 
@@ -111,54 +425,607 @@ class BufferGeometry {
 		return this.index !== null;
 	}
 
+	/**
+	 * Sets the primitive type that is used to draw the geometry.
+	 * @param {String} mode one of POINTS, LINES, LINE_STRIP, LINE_LOOP, TRIANGLES, TRIANGLE_STRIP or TRIANGLE_FAN.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	setDrawMode(mode) {
+		if (!drawModes.includes(mode)) {
+			console.error(`Draw mode ${mode} used in setDrawMode is not valid!`);
+			throw new Error(`Draw mode ${mode} in setDrawMode is not valid!`);
+		}
+
+		this.drawMode = mode;
+		return this;
+	}
+
 	getIndex() {
 		return this.index;
 	}
 
 	/**
 	 * Sets the index buffer of the geometry.
-	 * @param {Array} attribute the index values. 
+	 * Uint8Array, Uint16Array and Uint32Array indices are used as they are. Other arrays are converted to a
+	 * Uint16Array, or to a Uint32Array if they reference more than 65536 vertices.
+	 * @param {Array|TypedArray|Object|null} index the index values or an object of the form { 'array': [...], 'itemSize': 1 }.
+	 * Like attributes, the index object supports `usage`, `needsUpdate` and `updateRange`.
 	 * @returns 
 	 */
 	setIndex(index) {
+		const previous = this.index;
+
 		if (isArrayOrTypedArray(index)) {
-			this.index = { 'array': index, 'itemSize': 1 };
+			this.index = { 'array': toIndexArray(index), 'itemSize': 1 };
 		} else {
 			this.index = index;
+			if (index !== null) {
+				index.array = toIndexArray(index.array);
+			}
+		}
+
+		this.releasePrevious(previous);
+		return this;
+	}
+
+	/**
+	 * Sets the mapping of attribute names to shader locations for this geometry.
+	 * Either an object ({ tangent: 4, ... }) whose entries override the registered default locations,
+	 * or a WebGLProgram whose linked attribute locations are used. Attributes that are not active in
+	 * the program are not bound.
+	 * @param {Object|WebGLProgram|null} layout the attribute layout, null to use the registered defaults.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	setAttributeLayout(layout) {
+		this.attributeLayout = layout;
+
+		if (this.isInitialized) {
+			// recreate the VAO so that no binding of the previous layout stays enabled
+			this.gl.deleteVertexArray(this.vao);
+			this.vao = this.gl.createVertexArray();
+			this.setupVertexArray();
 		}
 
 		return this;
 	}
 
+	/**
+	 * Returns the shader location of an attribute, resolved from the attribute layout of the geometry
+	 * and the registered default locations.
+	 * @param {String} name the name of the attribute.
+	 * @returns {number|undefined} the location, -1 if the layout program does not use the attribute or undefined if unknown.
+	 */
+	getAttributeLocation(name) {
+		const layout = this.attributeLayout;
+
+		if (layout !== null) {
+			if (layout.isWebGLProgram === true) return layout.getAttribLocation(name);
+			if (layout[name] !== undefined) return layout[name];
+		}
+
+		return getAttribLocation(name);
+	}
+
 	getAttribute(name) {
 		return this.attributes[name];
 	}
 
+	/**
+	 * Returns all attributes that are uploaded to buffers and bound in the VAO, by the name of their shader input:
+	 * the attributes and the morph targets, which are bound as morphPosition0, morphPosition1, ... and morphNormal0, ...
+	 * (the name of the morph attribute with the index of the target). Targets without a location are uploaded but not bound.
+	 * @returns {Object} the attributes by shader input name.
+	 */
+	getBoundAttributes() {
+		const attributes = Object.assign({}, this.attributes);
+
+		for (var key in this.morphAttributes) {
+			const name = 'morph' + key.charAt(0).toUpperCase() + key.slice(1);
+			this.morphAttributes[key].forEach(function (attribute, i) {
+				attributes[name + i] = attribute;
+			});
+		}
+
+		return attributes;
+	}
+
 	/**
 	 * Sets an attribute of the geometry. The attribute is added if it does not exist yet.
+	 * Custom attribute names need a location, either from registerAttribLocation or from setAttributeLayout.
 	 * @param {String} name the name of the attribute (e.g. position, normal, color, etc.)
-	 * @param {Object} attribute the attribute to set/add. The attribute must have an array and an itemSize property ({ 'array': [...], 'itemSize': [1-4] }).
+	 * @param {Object} attribute the attribute to set/add. The attribute must have an array and an itemSize property ({ 'array': [...], 'itemSize': [1-4] }),
+	 * or reference an InterleavedBuffer with its offset in array elements ({ 'data': interleavedBuffer, 'itemSize': [1-4], 'offset': 0 }).
+	 * Typed arrays (Int8, Uint8, Int16, Uint16, Int32, Uint32, Float32) are uploaded as they are and define the component type,
+	 * plain arrays are uploaded as Float32Array. Optional properties:
+	 * - normalized: map integer values to [0, 1] (unsigned) or [-1, 1] (signed) in the shader. Default: false
+	 * - integer: pass integer values to int/uint shader inputs with vertexAttribIPointer. Default: false
+	 * - type: the name of the component type, e.g. 'HALF_FLOAT' for half-floats stored in a Uint16Array. Default: derived from the array
+	 * - usage: the buffer usage hint STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW. Default: STATIC_DRAW
+	 * - divisor: makes it a per-instance attribute that advances once every `divisor` instances (see InstancedBufferGeometry). Default: 0
+	 * Set `needsUpdate` to true (and optionally `updateRange` to { offset, count }) to upload changes of the array.
+	 * Usage and updates of interleaved attributes are set on their InterleavedBuffer.
 	 * @returns 
 	 */
 	setAttribute(name, attribute) {
 
 		// check if attribute name is valid
-		if (getAttribLocation(name) === undefined) {
+		if (typeof name !== 'string' || name.length === 0 || name === 'index') {
 			console.error(`Attribute name ${name} used in setAttribute is not valid!`);
 			throw new Error(`Attribute name ${name} in setAttribute is not valid!`);
 		}
 
-		if (attribute === undefined || attribute.itemSize === undefined || attribute.array === undefined) {
+		if (attribute === undefined || attribute.itemSize === undefined || (attribute.array === undefined && attribute.data === undefined)) {
 			console.error(`Attribute data for ${name} must be an object of the form {array: [...], itemSize: ..}!`);
 			throw new Error(`Attribute data for ${name} must be an object of the form {array: [...], itemSize: ..}!`);
 		}
 
+		if (attribute.data !== undefined && (attribute.data.isInterleavedBuffer !== true || (attribute.offset || 0) + attribute.itemSize > attribute.data.stride)) {
+			console.error(`Interleaved attribute data for ${name} must be of the form {data: InterleavedBuffer, itemSize: .., offset: ..} and fit into the stride!`);
+			throw new Error(`Interleaved attribute data for ${name} must be of the form {data: InterleavedBuffer, itemSize: .., offset: ..} and fit into the stride!`);
+		}
+
+		// check that the data can be used as vertex attribute
+		const array = getBufferSource(attribute).array;
+		if (ArrayBuffer.isView(array) && typedArrayTypes[array.constructor.name] === undefined) {
+			console.error(`Attribute data for ${name} of type ${array.constructor.name} is not supported!`);
+			throw new Error(`Attribute data for ${name} of type ${array.constructor.name} is not supported!`);
+		}
+		if (attribute.type === 'HALF_FLOAT' && !(array instanceof Uint16Array)) {
+			console.error(`Half-float attribute data for ${name} must be stored in a Uint16Array!`);
+			throw new Error(`Half-float attribute data for ${name} must be stored in a Uint16Array!`);
+		}
+		if (attribute.integer === true && !(ArrayBuffer.isView(array) && integerTypes.includes(typedArrayTypes[array.constructor.name]))) {
+			console.error(`Integer attribute data for ${name} must be stored in an integer typed array!`);
+			throw new Error(`Integer attribute data for ${name} must be stored in an integer typed array!`);
+		}
+
+		const previous = this.attributes[name];
 		this.attributes[name] = attribute;
+		this.releasePrevious(previous);
+		return this;
+	}
+
+	/**
+	 * Computes the axis-aligned bounding box of the vertices in the draw range and stores it in `boundingBox`.
+	 * For indexed geometries only the vertices referenced by the indices in the draw range are used.
+	 * @returns {Box3} the bounding box, empty if the geometry has no position attribute.
+	 */
+	computeBoundingBox() {
+
+		if (this.boundingBox === null) {
+			this.boundingBox = new Box3();
+		}
+
+		const position = this.attributes['position'];
+		const box = this.boundingBox.makeEmpty();
+
+		if (position === undefined) {
+			console.error(`${this.type} ${this.name} has no position attribute to compute the bounding box from!`);
+			return box;
+		}
+
+		forEachDrawnVertex(this, function (vertex) {
+			box.expandByPoint(getAttributeVector3(position, vertex, _vector));
+		});
+
+		return box;
+	}
+
+	/**
+	 * Computes the bounding sphere of the vertices in the draw range and stores it in `boundingSphere`.
+	 * The center is the center of the bounding box, the radius the largest distance of a vertex to it.
+	 * @returns {Sphere} the bounding sphere, empty if the geometry has no position attribute.
+	 */
+	computeBoundingSphere() {
+
+		if (this.boundingSphere === null) {
+			this.boundingSphere = new Sphere();
+		}
+
+		const position = this.attributes['position'];
+		const sphere = this.boundingSphere.makeEmpty();
+
+		if (position === undefined) {
+			console.error(`${this.type} ${this.name} has no position attribute to compute the bounding sphere from!`);
+			return sphere;
+		}
+
+		const box = _box.makeEmpty();
+		forEachDrawnVertex(this, function (vertex) {
+			box.expandByPoint(getAttributeVector3(position, vertex, _vector));
+		});
+
+		if (box.isEmpty()) return sphere;
+
+		box.getCenter(sphere.center);
+
+		let maxRadiusSq = 0;
+		forEachDrawnVertex(this, function (vertex) {
+			maxRadiusSq = Math.max(maxRadiusSq, sphere.center.distanceToSquared(getAttributeVector3(position, vertex, _vector)));
+		});
+
+		sphere.radius = Math.sqrt(maxRadiusSq);
+
+		return sphere;
+	}
+
+	/**
+	 * Computes smooth vertex normals from the triangles of the geometry and stores them in the `normal` attribute.
+	 * The normals of the triangles sharing a vertex are weighted by their area. Only vertices that are shared through
+	 * the index are smoothed, so indexed geometries are needed for smooth shading.
+	 */
+	computeVertexNormals() {
+
+		const position = this.attributes['position'];
+		this.verifyTriangles('computeVertexNormals');
+
+		const count = getAttributeCount(position);
+		const normal = this.prepareFloatAttribute('normal', count, 3);
+		const normals = normal.array;
+		normals.fill(0);
+
+		const vertexCount = this.hasIndex ? this.index.array.length : count;
+		for (let i = 0; i + 2 < vertexCount; i += 3) {
+			const a = this.hasIndex ? this.index.array[i] : i;
+			const b = this.hasIndex ? this.index.array[i + 1] : i + 1;
+			const c = this.hasIndex ? this.index.array[i + 2] : i + 2;
+
+			// the cross product is as long as twice the triangle area, which weights the normals by area
+			faceNormal(position, a, b, c, _normal);
+
+			for (const vertex of [a, b, c]) {
+				normals[vertex * 3] += _normal.x;
+				normals[vertex * 3 + 1] += _normal.y;
+				normals[vertex * 3 + 2] += _normal.z;
+			}
+		}
+
+		for (let i = 0; i < count; i++) {
+			_normal.fromArray(normals, i * 3).normalize().toArray(normals, i * 3);
+		}
+
+		normal.needsUpdate = true;
+	}
+
+	/**
+	 * Computes flat normals (one normal per triangle) and stores them in the `normal` attribute. Indexed geometries
+	 * are de-indexed first (see toNonIndexed), as the vertices of each triangle need their own normal.
+	 */
+	computeFlatNormals() {
+
+		this.verifyTriangles('computeFlatNormals');
+
+		if (this.hasIndex) {
+			const gl = this.gl;
+			const nonIndexed = this.toNonIndexed();
+
+			this.dispose(); // the buffers of the indexed geometry are replaced
+			this.attributes = nonIndexed.attributes;
+			this.morphAttributes = nonIndexed.morphAttributes;
+			this.index = null;
+
+			if (gl !== null) this.init(gl);
+		}
+
+		const position = this.attributes['position'];
+		const count = getAttributeCount(position);
+		const normal = this.prepareFloatAttribute('normal', count, 3);
+
+		for (let i = 0; i + 2 < count; i += 3) {
+			faceNormal(position, i, i + 1, i + 2, _normal).normalize();
+			setAttributeVector3(normal, i, _normal);
+			setAttributeVector3(normal, i + 1, _normal);
+			setAttributeVector3(normal, i + 2, _normal);
+		}
+
+		normal.needsUpdate = true;
+	}
+
+	/**
+	 * Computes per-vertex tangents for normal mapping from the `position`, `normal` and `uv` attributes and stores them
+	 * in the `tangent` attribute (itemSize 4). The tangents are orthogonalized against the normals and w holds the
+	 * handedness (+1 or -1) of the tangent space, as in MikkTSpace: bitangent = cross(normal, tangent.xyz) * tangent.w.
+	 */
+	computeTangents() {
+
+		this.verifyTriangles('computeTangents');
+
+		if (this.attributes['normal'] === undefined || this.attributes['uv'] === undefined) {
+			console.error(`computeTangents: ${this.type} ${this.name} needs normal and uv attributes!`);
+			throw new Error(`computeTangents: ${this.type} ${this.name} needs normal and uv attributes!`);
+		}
+
+		const position = this.attributes['position'];
+		const normal = this.attributes['normal'];
+		const uv = this.attributes['uv'];
+
+		const count = getAttributeCount(position);
+		const tan1 = new Float32Array(count * 3); // accumulated u directions
+		const tan2 = new Float32Array(count * 3); // accumulated v directions
+
+		const vertexCount = this.hasIndex ? this.index.array.length : count;
+		for (let i = 0; i + 2 < vertexCount; i += 3) {
+			const a = this.hasIndex ? this.index.array[i] : i;
+			const b = this.hasIndex ? this.index.array[i + 1] : i + 1;
+			const c = this.hasIndex ? this.index.array[i + 2] : i + 2;
+
+			const vA = getAttributeVector3(position, a, _vA);
+			const vB = getAttributeVector3(position, b, _vB).sub(vA);
+			const vC = getAttributeVector3(position, c, _vC).sub(vA);
+
+			const uvA = getAttributeVector3(uv, a, _uvA);
+			const uvB = getAttributeVector3(uv, b, _uvB).sub(uvA);
+			const uvC = getAttributeVector3(uv, c, _uvC).sub(uvA);
+
+			const det = uvB.x * uvC.y - uvC.x * uvB.y;
+			if (!isFinite(1.0 / det)) continue; // degenerate uvs, no tangent space
+
+			const r = 1.0 / det;
+			_sdir.copy(vB).multiplyScalar(uvC.y).addScaledVector(vC, - uvB.y).multiplyScalar(r);
+			_tdir.copy(vC).multiplyScalar(uvB.x).addScaledVector(vB, - uvC.x).multiplyScalar(r);
+
+			for (const vertex of [a, b, c]) {
+				_vector.fromArray(tan1, vertex * 3).add(_sdir).toArray(tan1, vertex * 3);
+				_vector.fromArray(tan2, vertex * 3).add(_tdir).toArray(tan2, vertex * 3);
+			}
+		}
+
+		const tangent = this.prepareFloatAttribute('tangent', count, 4);
+		const tangents = tangent.array;
+
+		for (let i = 0; i < count; i++) {
+			const n = getAttributeVector3(normal, i, _normal);
+			const t = _sdir.fromArray(tan1, i * 3);
+
+			// Gram-Schmidt orthogonalize
+			_vector.copy(t).addScaledVector(n, - n.dot(t)).normalize();
+
+			// calculate handedness
+			_tdir.crossVectors(n, t);
+			const w = (_tdir.dot(_vC.fromArray(tan2, i * 3)) < 0.0) ? - 1.0 : 1.0;
+
+			tangents[i * 4] = _vector.x;
+			tangents[i * 4 + 1] = _vector.y;
+			tangents[i * 4 + 2] = _vector.z;
+			tangents[i * 4 + 3] = w;
+		}
+
+		tangent.needsUpdate = true;
+	}
+
+	/**
+	 * Bakes a transformation into the vertex data. Positions are transformed by the matrix, normals by its normal matrix
+	 * and the directions of tangents by its upper 3x3 part. The deltas of position morph targets are transformed by
+	 * the upper 3x3 part (a translation does not change them), the deltas of normal morph targets by the normal matrix.
+	 * Normalized integer positions, normals, tangents and their morph targets are replaced by Float32Array attributes first, because the
+	 * transformed values may not fit into their range. Computed bounds are updated.
+	 * @param {Matrix4} matrix the transformation matrix.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	applyMatrix4(matrix) {
+
+		for (const name of ['position', 'normal', 'tangent']) {
+			const attribute = this.attributes[name];
+			if (attribute !== undefined && isQuantized(attribute)) {
+				this.setAttribute(name, toFloatAttribute(attribute));
+			}
+		}
+		for (const name of ['position', 'normal']) {
+			const targets = this.morphAttributes[name] || [];
+			for (let i = 0; i < targets.length; i++) {
+				if (isQuantized(targets[i])) {
+					const previous = targets[i];
+					targets[i] = toFloatAttribute(previous);
+					this.releasePrevious(previous);
+				}
+			}
+		}
+
+		const position = this.attributes['position'];
+		if (position !== undefined) {
+			const count = getAttributeCount(position);
+			for (let i = 0; i < count; i++) {
+				setAttributeVector3(position, i, getAttributeVector3(position, i, _vector).applyMatrix4(matrix));
+			}
+			getBufferSource(position).needsUpdate = true;
+		}
+
+		const normal = this.attributes['normal'];
+		if (normal !== undefined) {
+			const normalMatrix = _normalMatrix.getNormalMatrix(matrix);
+			const count = getAttributeCount(normal);
+			for (let i = 0; i < count; i++) {
+				setAttributeVector3(normal, i, getAttributeVector3(normal, i, _vector).applyNormalMatrix(normalMatrix));
+			}
+			getBufferSource(normal).needsUpdate = true;
+		}
+
+		const tangent = this.attributes['tangent'];
+		if (tangent !== undefined) {
+			const count = getAttributeCount(tangent);
+			for (let i = 0; i < count; i++) {
+				setAttributeVector3(tangent, i, getAttributeVector3(tangent, i, _vector).transformDirection(matrix));
+			}
+			getBufferSource(tangent).needsUpdate = true;
+		}
+
+		const morphPositions = this.morphAttributes['position'] || [];
+		const morphNormals = this.morphAttributes['normal'] || [];
+		const linearMatrix = _linearMatrix.setFromMatrix4(matrix);
+		const normalMatrix = _normalMatrix.getNormalMatrix(matrix);
+		morphPositions.forEach(function (target) {
+			transformDeltas(target, linearMatrix);
+		});
+		morphNormals.forEach(function (target) {
+			transformDeltas(target, normalMatrix);
+		});
+
+		if (this.boundingBox !== null) this.computeBoundingBox();
+		if (this.boundingSphere !== null) this.computeBoundingSphere();
+
 		return this;
 	}
 
+	/**
+	 * Rotates the vertex data around the x axis.
+	 * @param {number} angle the angle in radians.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	rotateX(angle) {
+		return this.applyMatrix4(_matrix.makeRotationX(angle));
+	}
+
+	/**
+	 * Rotates the vertex data around the y axis.
+	 * @param {number} angle the angle in radians.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	rotateY(angle) {
+		return this.applyMatrix4(_matrix.makeRotationY(angle));
+	}
+
+	/**
+	 * Rotates the vertex data around the z axis.
+	 * @param {number} angle the angle in radians.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	rotateZ(angle) {
+		return this.applyMatrix4(_matrix.makeRotationZ(angle));
+	}
+
+	/**
+	 * Moves the vertex data.
+	 * @param {number} x the offset along the x axis.
+	 * @param {number} y the offset along the y axis.
+	 * @param {number} z the offset along the z axis.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	translate(x, y, z) {
+		return this.applyMatrix4(_matrix.makeTranslation(x, y, z));
+	}
+
+	/**
+	 * Scales the vertex data.
+	 * @param {number} x the scale factor along the x axis.
+	 * @param {number} y the scale factor along the y axis.
+	 * @param {number} z the scale factor along the z axis.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	scale(x, y, z) {
+		return this.applyMatrix4(_matrix.makeScale(x, y, z));
+	}
+
+	/**
+	 * Rotates the vertex data so that its +z axis points towards the given point.
+	 * @param {Vector3} vector the point to face.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	lookAt(vector) {
+		_matrix.lookAt(vector, _origin, _up);
+		return this.applyMatrix4(_matrix);
+	}
+
+	/**
+	 * Moves the vertex data so that the center of its bounding box is at the origin.
+	 * @returns {BufferGeometry} this geometry.
+	 */
+	center() {
+		this.computeBoundingBox();
+		const offset = this.boundingBox.getCenter(_offset).negate();
+		return this.translate(offset.x, offset.y, offset.z);
+	}
+
+	/**
+	 * Creates an empty geometry of the same kind, which derived geometries (e.g. of toNonIndexed) are built in.
+	 * Parametric geometries (e.g. BoxGeometry) create a plain BufferGeometry, as their data no longer follows the parameters.
+	 * @returns {BufferGeometry} the empty geometry.
+	 */
+	createEmpty() {
+		return new BufferGeometry();
+	}
+
+	/**
+	 * Returns a copy of the geometry without an index, in which every vertex referenced by the index is duplicated.
+	 * Per-instance attributes are copied unchanged. Interleaved attributes are copied into their own arrays.
+	 * The GPU buffers are not copied.
+	 * @returns {BufferGeometry} the non-indexed geometry (or a copy of the geometry if it has no index).
+	 */
+	toNonIndexed() {
+
+		const geometry = this.createEmpty();
+		geometry.name = this.name;
+		geometry.drawMode = this.drawMode;
+		geometry.setDrawRange(this.drawRange.start, this.drawRange.count);
+		this.groups.forEach(function (group) {
+			geometry.addGroup(group.start, group.count, group.materialIndex);
+		});
+
+		const indices = this.hasIndex ? this.index.array : null;
+		const expand = function (attribute) {
+			return copyAttribute(attribute, isPerInstance(attribute) ? null : indices); // per-instance data is copied unchanged
+		};
+
+		for (var key in this.attributes) {
+			geometry.setAttribute(key, expand(this.attributes[key]));
+		}
+		for (var key in this.morphAttributes) {
+			geometry.morphAttributes[key] = this.morphAttributes[key].map(expand);
+		}
+
+		return geometry;
+	}
+
+	/**
+	 * Verifies that the geometry consists of triangles with positions, as needed to compute normals and tangents.
+	 * @param {String} caller the name of the calling method for the error message.
+	 */
+	verifyTriangles(caller) {
+
+		if (this.attributes['position'] === undefined) {
+			console.error(`${caller}: ${this.type} ${this.name} has no position attribute!`);
+			throw new Error(`${caller}: ${this.type} ${this.name} has no position attribute!`);
+		}
+		if (this.drawMode !== 'TRIANGLES') {
+			console.error(`${caller}: ${this.type} ${this.name} must be drawn as TRIANGLES!`);
+			throw new Error(`${caller}: ${this.type} ${this.name} must be drawn as TRIANGLES!`);
+		}
+
+	}
+
+	/**
+	 * Returns a Float32Array attribute for computed values, which is created (or replaced) if the existing attribute
+	 * does not match the vertex count and item size.
+	 * @param {String} name the name of the attribute, e.g. normal.
+	 * @param {number} count the number of vertices.
+	 * @param {number} itemSize the number of components per vertex.
+	 * @returns {Object} the attribute with a Float32Array.
+	 */
+	prepareFloatAttribute(name, count, itemSize) {
+
+		let attribute = this.attributes[name];
+
+		if (attribute === undefined || attribute.data !== undefined || !(attribute.array instanceof Float32Array) ||
+			attribute.itemSize !== itemSize || getAttributeCount(attribute) !== count) {
+			const previous = attribute;
+			attribute = { 'array': new Float32Array(count * itemSize), 'itemSize': itemSize };
+
+			// reuse the buffer of a previous attribute, it is reallocated with the new size
+			if (previous !== undefined && previous.data === undefined && previous.buffer !== undefined) {
+				attribute.buffer = previous.buffer;
+				attribute.byteLength = previous.byteLength;
+				attribute.version = previous.version;
+			}
+
+			this.attributes[name] = attribute;
+		}
+
+		return attribute;
+	}
+
 	deleteAttribute(name) {
+		const previous = this.attributes[name];
 		delete this.attributes[name];
+		this.releasePrevious(previous);
 		return this;
 	}
 
@@ -166,13 +1033,160 @@ class BufferGeometry {
 		return this.attributes[name] !== undefined;
 	}
 
+	/**
+	 * Returns a JSON representation of the geometry with its name, draw mode, draw range, groups, index, attributes and morph attributes.
+	 * The typed arrays are stored as base64 strings of their bytes (little-endian, like all common platforms),
+	 * interleaved attributes are stored with their own array. The GPU state is not stored.
+	 * @returns {Object} the JSON object, e.g. for JSON.stringify.
+	 */
+	toJSON() {
+
+		const data = {
+			'attributes': {},
+			'drawMode': this.drawMode,
+			'drawRange': { 'start': this.drawRange.start, 'count': (this.drawRange.count === Infinity) ? null : this.drawRange.count },
+			'groups': this.groups.map((group) => ({ 'start': group.start, 'count': group.count, 'materialIndex': group.materialIndex })),
+		};
+
+		if (this.hasIndex) {
+			data['index'] = { 'arrayType': this.index.array.constructor.name, 'array': encodeArray(this.index.array) };
+		}
+
+		for (var key in this.attributes) {
+			data['attributes'][key] = attributeToJSON(this.attributes[key]);
+		}
+
+		const morphKeys = Object.keys(this.morphAttributes);
+		if (morphKeys.length > 0) {
+			data['morphAttributes'] = {};
+			morphKeys.forEach((key) => {
+				data['morphAttributes'][key] = this.morphAttributes[key].map(attributeToJSON);
+			});
+		}
+
+		return {
+			'metadata': { 'version': 1, 'type': this.type, 'generator': 'BufferGeometry.toJSON' },
+			'name': this.name,
+			'data': data,
+		};
+	}
+
+	/**
+	 * Creates a geometry from its JSON representation (see toJSON).
+	 * The geometry is created with the constructor registered for the type in the metadata (see registerGeometryType),
+	 * other types (e.g. parametric geometries like BoxGeometry) are restored as a plain BufferGeometry holding their data.
+	 * @param {Object|String} json the JSON object or string.
+	 * @returns {BufferGeometry} the geometry, not initialized yet.
+	 */
+	static fromJSON(json) {
+
+		if (typeof json === 'string') json = JSON.parse(json);
+
+		if (json === null || typeof json !== 'object' || json.data === undefined || json.data.attributes === undefined) {
+			console.error(`JSON used in fromJSON is not a geometry created by toJSON!`);
+			throw new Error(`JSON used in fromJSON is not a geometry created by toJSON!`);
+		}
+
+		const data = json.data;
+		const type = (json.metadata !== undefined) ? json.metadata.type : undefined;
+		const geometry = new (geometryTypes[type] || BufferGeometry)();
+		geometry.name = json.name !== undefined ? json.name : '';
+
+		if (data.instanceCount !== undefined && geometry.isInstancedBufferGeometry === true) {
+			geometry.instanceCount = (data.instanceCount === null) ? Infinity : data.instanceCount;
+		}
+
+		if (data.drawMode !== undefined) geometry.setDrawMode(data.drawMode);
+		if (data.drawRange !== undefined) {
+			geometry.setDrawRange(data.drawRange.start, (data.drawRange.count === null) ? Infinity : data.drawRange.count);
+		}
+		(data.groups || []).forEach((group) => {
+			geometry.addGroup(group.start, group.count, group.materialIndex);
+		});
+
+		if (data.index !== undefined) {
+			geometry.setIndex(decodeArray(data.index.array, data.index.arrayType));
+		}
+
+		for (var key in data.attributes) {
+			geometry.setAttribute(key, attributeFromJSON(data.attributes[key]));
+		}
+		for (var key in data.morphAttributes) {
+			geometry.morphAttributes[key] = data.morphAttributes[key].map(attributeFromJSON);
+		}
+
+		return geometry;
+	}
+
 }
 
 
-export { BufferGeometry };
+const _vector = new Vector3();
+const _box = new Box3();
+const _normal = new Vector3();
+const _ab = new Vector3();
+const _cb = new Vector3();
+const _vA = new Vector3(), _vB = new Vector3(), _vC = new Vector3();
+const _uvA = new Vector3(), _uvB = new Vector3(), _uvC = new Vector3();
+const _sdir = new Vector3(), _tdir = new Vector3();
+const _matrix = new Matrix4();
+const _normalMatrix = new Matrix3();
+const _linearMatrix = new Matrix3();
+const _offset = new Vector3();
+const _origin = new Vector3(0, 0, 0);
+const _up = new Vector3(0, 1, 0);
+
+export { BufferGeometry, registerAttribLocation, registerGeometryType };
 
 // --- Utilities below ---
 
+/**
+ * Transforms the deltas of a morph target by a 3x3 matrix. The deltas are not normalized.
+ * @param {Object} attribute the morph target attribute.
+ * @param {Matrix3} matrix the linear transformation.
+ */
+function transformDeltas(attribute, matrix) {
+	const count = getAttributeCount(attribute);
+	for (let i = 0; i < count; i++) {
+		setAttributeVector3(attribute, i, getAttributeVector3(attribute, i, _vector).applyMatrix3(matrix));
+	}
+	getBufferSource(attribute).needsUpdate = true;
+}
+
+/**
+ * Computes the (not normalized) normal of a triangle, which is as long as twice the triangle area.
+ * @param {Object} position the position attribute.
+ * @param {number} a index of the first vertex.
+ * @param {number} b index of the second vertex.
+ * @param {number} c index of the third vertex.
+ * @param {Vector3} target the vector to store the normal in.
+ * @returns {Vector3} the target vector.
+ */
+function faceNormal(position, a, b, c, target) {
+	const pB = getAttributeVector3(position, b, _vector);
+	_cb.subVectors(getAttributeVector3(position, c, target), pB);
+	_ab.subVectors(getAttributeVector3(position, a, target), pB);
+	return target.crossVectors(_cb, _ab);
+}
+
+/**
+ * Calls the callback for every vertex within the draw range of the geometry. For indexed geometries the draw range
+ * selects indices, and the callback is called with the referenced vertex (possibly several times).
+ * @param {BufferGeometry} geometry the geometry.
+ * @param {Function} callback called with the index of each vertex.
+ */
+function forEachDrawnVertex(geometry, callback) {
+	const index = geometry.index;
+	const elementCount = (index !== null) ? index.array.length : getAttributeCount(geometry.attributes['position']);
+
+	const start = Math.max(0, geometry.drawRange.start);
+	const end = Math.min(elementCount, geometry.drawRange.start + geometry.drawRange.count);
+
+	for (let i = start; i < end; i++) {
+		callback((index !== null) ? index.array[i] : i);
+	}
+}
+
 /**
  * Verifies that the given object is an array or typed array (e.g. Float32Array).
  * from: https://stackoverflow.com/questions/40319109/detect-if-object-is-either-an-array-or-typed-array
@@ -184,54 +1198,311 @@ function isArrayOrTypedArray(x) {
 	return Boolean(x && (typeof x === 'object') && (Array.isArray(x) || (ArrayBuffer.isView(x) && !(x instanceof DataView))));
 }
 
+// the optional attribute properties that are stored by toJSON
+const attributeOptions = ['type', 'integer', 'usage', 'divisor'];
+
 /**
- * Binds the given buffer to the given attribute location.
+ * Returns the JSON representation of an attribute, with its array as base64 string.
+ * @param {Object} attribute the attribute
+ * @returns {Object} the JSON object.
+ */
+function attributeToJSON(attribute) {
+	if (attribute.data !== undefined || !ArrayBuffer.isView(attribute.array)) {
+		attribute = copyAttribute(attribute);
+	}
+
+	const json = {
+		'itemSize': attribute.itemSize,
+		'arrayType': attribute.array.constructor.name,
+		'normalized': isNormalized(attribute),
+		'array': encodeArray(attribute.array),
+	};
+	for (const option of attributeOptions) {
+		if (attribute[option] !== undefined) json[option] = attribute[option];
+	}
+
+	return json;
+}
+
+/**
+ * Creates an attribute from its JSON representation (see attributeToJSON).
+ * @param {Object} json the JSON object.
+ * @returns {Object} the attribute.
+ */
+function attributeFromJSON(json) {
+	const attribute = {
+		'array': decodeArray(json.array, json.arrayType),
+		'itemSize': json.itemSize,
+		'normalized': json.normalized === true,
+	};
+	for (const option of attributeOptions) {
+		if (json[option] !== undefined) attribute[option] = json[option];
+	}
+
+	return attribute;
+}
+
+/**
+ * Encodes the bytes of a typed array as a base64 string.
+ * @param {TypedArray} array the typed array.
+ * @returns {String} the base64 string.
+ */
+function encodeArray(array) {
+	const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+	const chunks = [];
+
+	// String.fromCharCode has a limit on its number of arguments
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+	}
+
+	return btoa(chunks.join(''));
+}
+
+/**
+ * Decodes a base64 string created by encodeArray into a typed array.
+ * @param {String} base64 the base64 string.
+ * @param {String} arrayType the name of the typed array, e.g. Float32Array.
+ * @returns {TypedArray} the typed array.
+ */
+function decodeArray(base64, arrayType) {
+	const ArrayType = typedArrays[arrayType];
+
+	if (ArrayType === undefined) {
+		console.error(`Array type ${arrayType} used in fromJSON is not supported!`);
+		throw new Error(`Array type ${arrayType} used in fromJSON is not supported!`);
+	}
+
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+
+	return new ArrayType(bytes.buffer);
+}
+
+// names of the WebGL primitive types that can be used as draw mode
+const drawModes = ['POINTS', 'LINES', 'LINE_STRIP', 'LINE_LOOP', 'TRIANGLES', 'TRIANGLE_STRIP', 'TRIANGLE_FAN'];
+
+// names of the WebGL component types of the supported typed arrays
+const typedArrayTypes = {
+	'Int8Array': 'BYTE',
+	'Uint8Array': 'UNSIGNED_BYTE',
+	'Uint8ClampedArray': 'UNSIGNED_BYTE',
+	'Int16Array': 'SHORT',
+	'Uint16Array': 'UNSIGNED_SHORT',
+	'Int32Array': 'INT',
+	'Uint32Array': 'UNSIGNED_INT',
+	'Float32Array': 'FLOAT',
+};
+
+// the supported typed arrays by name, for fromJSON
+const typedArrays = {
+	'Int8Array': Int8Array,
+	'Uint8Array': Uint8Array,
+	'Uint8ClampedArray': Uint8ClampedArray,
+	'Int16Array': Int16Array,
+	'Uint16Array': Uint16Array,
+	'Int32Array': Int32Array,
+	'Uint32Array': Uint32Array,
+	'Float32Array': Float32Array,
+};
+
+const integerTypes = ['BYTE', 'UNSIGNED_BYTE', 'SHORT', 'UNSIGNED_SHORT', 'INT', 'UNSIGNED_INT'];
+
+/**
+ * Returns the WebGL component type of an attribute, e.g. gl.FLOAT or gl.UNSIGNED_BYTE.
  * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+ * @param {Object} attribute the attribute ({ 'array': [...], 'itemSize': .., 'type': .. })
+ * @returns {number} the component type.
+ */
+function getComponentType(gl, attribute) {
+	if (attribute.type !== undefined) return gl[attribute.type];
+	const array = getBufferSource(attribute).array;
+	if (ArrayBuffer.isView(array)) return gl[typedArrayTypes[array.constructor.name]];
+	return gl.FLOAT; // plain arrays are uploaded as Float32Array
+}
+
+/**
+ * Returns the object that holds the data and the WebGLBuffer of an attribute: the InterleavedBuffer
+ * for interleaved attributes, otherwise the attribute itself.
+ * @param {Object} attribute the attribute
+ * @returns {Object} the object with array, buffer, usage and needsUpdate.
+ */
+function getBufferSource(attribute) {
+	return (attribute.data !== undefined) ? attribute.data : attribute;
+}
+
+/**
+ * Returns if an attribute stores floats as normalized integers.
+ * @param {Object} attribute the attribute
+ * @returns {boolean} true if the values are normalized integers.
+ */
+function isQuantized(attribute) {
+	const array = getBufferSource(attribute).array;
+	return isNormalized(attribute) && ArrayBuffer.isView(array) && typedArrayTypes[array.constructor.name] !== 'FLOAT';
+}
+
+/**
+ * Converts indices to an unsigned typed array that is wide enough for the largest index.
+ * @param {Array|TypedArray} indices the indices.
+ * @returns {Uint8Array|Uint16Array|Uint32Array} the indices as unsigned typed array.
+ */
+function toIndexArray(indices) {
+	if (indices instanceof Uint8Array || indices instanceof Uint16Array || indices instanceof Uint32Array) {
+		return indices;
+	}
+
+	for (let i = 0; i < indices.length; i++) {
+		if (!Number.isInteger(indices[i]) || indices[i] < 0) {
+			console.error(`index ${indices[i]} at position ${i} is not a valid vertex index!`);
+			throw new Error(`Index ${indices[i]} at position ${i} is not a valid vertex index!`);
+		}
+	}
+
+	return getMaxIndex(indices) > 65535 ? Uint32Array.from(indices) : Uint16Array.from(indices);
+}
+
+/**
+ * Returns the largest value of the given indices.
+ * @param {Array|TypedArray} indices the indices.
+ * @returns {number} the largest index, -1 for empty indices.
+ */
+function getMaxIndex(indices) {
+	let max = -1;
+	for (let i = 0; i < indices.length; i++) {
+		if (indices[i] > max) max = indices[i];
+	}
+	return max;
+}
+
+/**
+ * Binds the given buffer to the given attribute location.
+ * @param {WebGL2RenderingContext} gl The WebGL2RenderingContext to use.
  * @param {WebGLBuffer} buffer The WebGLBuffer to use
  * @param {int} itemSize The size of an element in the buffer. e.g. vec3 = 3
  * @param {int} location Attribute location in the shader. Default: 0
  * @param {boolean} normalize If the data should be normalized. Default: false
+ * @param {number} type The component type of the data, e.g. gl.FLOAT. Default: gl.FLOAT
+ * @param {boolean} integer If the data is passed as integers to the shader (vertexAttribIPointer). Default: false
+ * @param {int} stride The distance in bytes between the starts of two vertices, 0 for tightly packed data. Default: 0
+ * @param {int} offset The offset in bytes of the attribute within a vertex. Default: 0
  */
-function useBuffer(gl, buffer, itemSize, location = 0, normalize = false) {
+function useBuffer(gl, buffer, itemSize, location = 0, normalize = false, type = gl.FLOAT, integer = false, stride = 0, offset = 0) {
 	gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
 	gl.enableVertexAttribArray(location);
-	gl.vertexAttribPointer(location, itemSize, gl.FLOAT, normalize, 0, 0);
+	if (integer) {
+		gl.vertexAttribIPointer(location, itemSize, type, stride, offset);
+	} else {
+		gl.vertexAttribPointer(location, itemSize, type, normalize, stride, offset);
+	}
 	gl.bindBuffer(gl.ARRAY_BUFFER, null); // optional!
 }
 
 /**
- * Disable the given attribute location.
- * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
- * @param {int} location Attribute location in the shader. Default: 0
+ * Returns the data of an array as it is uploaded to a buffer. Typed arrays are uploaded as they are, plain arrays as Float32Array.
+ * @param {Array|TypedArray} arrayData the data.
+ * @returns {TypedArray} the data to upload.
  */
-function disableBuffer(gl, location) {
-	gl.disableVertexAttribArray(location);
+function toBufferData(arrayData) {
+	return ArrayBuffer.isView(arrayData) ? arrayData : Float32Array.from(arrayData);
+}
+
+/**
+ * Returns the size in bytes of an array once it is uploaded to a buffer.
+ * @param {Array|TypedArray} arrayData the data.
+ * @returns {number} the size in bytes.
+ */
+function getByteLength(arrayData) {
+	return ArrayBuffer.isView(arrayData) ? arrayData.byteLength : arrayData.length * Float32Array.BYTES_PER_ELEMENT;
 }
 
 /**
  * Creates an WebGL ARRAY_BUFFER with the given data.
  * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
- * @param {Array} arrayData the data to create the buffer with.
+ * @param {Array|TypedArray} arrayData the data to create the buffer with. Typed arrays are uploaded as they are, plain arrays as Float32Array.
+ * @param {String} [usage='STATIC_DRAW'] the usage hint of the buffer (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW).
  * @returns {WebGLBuffer} The created WebGLBuffer.
  */
-function createBuffer(gl, arrayData) {
+function createBuffer(gl, arrayData, usage = 'STATIC_DRAW') {
 	// Create a buffer.
 	var buffer = gl.createBuffer();
 	gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
 
 	// Upload Geometry data
-	gl.bufferData(gl.ARRAY_BUFFER, Float32Array.from(arrayData), gl.STATIC_DRAW);
+	const data = toBufferData(arrayData);
+	gl.bufferData(gl.ARRAY_BUFFER, data, gl[usage]);
+	trackResource('buffers', data.byteLength);
 
 	return buffer;
 }
 
+/**
+ * Creates the WebGLBuffer of an attribute (or InterleavedBuffer) and uploads its data.
+ * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+ * @param {Object} source the attribute or InterleavedBuffer holding the data.
+ */
+function initBufferSource(gl, source) {
+	source.buffer = createBuffer(gl, source.array, source.usage);
+	source.byteLength = getByteLength(source.array);
+	source.version = 0;
+	source.needsUpdate = false;
+}
+
+/**
+ * Deletes the WebGLBuffer of an attribute, InterleavedBuffer or index, if it has one.
+ * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+ * @param {Object} source the attribute, InterleavedBuffer or index holding the buffer.
+ */
+function deleteBuffer(gl, source) {
+	if (source.buffer === undefined) return;
+	gl.deleteBuffer(source.buffer);
+	untrackResource('buffers', source.byteLength);
+	delete source.buffer;
+}
+
+/**
+ * Uploads the changed data of an attribute (or index) to its buffer and resets its `needsUpdate` flag.
+ * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+ * @param {number} target the buffer target, gl.ARRAY_BUFFER or gl.ELEMENT_ARRAY_BUFFER.
+ * @param {Object} attribute the attribute with the buffer and the changed array.
+ * @returns {boolean} true if the buffer had to be reallocated because the size of the data changed.
+ */
+function updateBuffer(gl, target, attribute) {
+	const data = toBufferData(attribute.array);
+	const range = attribute.updateRange;
+	const reallocate = data.byteLength !== attribute.byteLength;
+
+	gl.bindBuffer(target, attribute.buffer);
+
+	if (reallocate) {
+		gl.bufferData(target, data, gl[attribute.usage || 'STATIC_DRAW']);
+		trackResize(attribute.byteLength, data.byteLength);
+		attribute.byteLength = data.byteLength;
+	} else if (range !== undefined && range.count !== -1) { // only upload the dirty range
+		gl.bufferSubData(target, range.offset * data.BYTES_PER_ELEMENT, data, range.offset, range.count);
+	} else {
+		gl.bufferSubData(target, 0, data);
+	}
+
+	gl.bindBuffer(target, null);
+
+	if (range !== undefined) range.count = -1;
+	attribute.version++;
+	attribute.needsUpdate = false;
+
+	return reallocate;
+}
+
 /**
  * Creates an WebGL index buffer (ELEMENT_ARRAY_BUFFER) with the given indices.
  * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
- * @param {Array} indices the indices to create the buffer with.
+ * @param {Uint8Array|Uint16Array|Uint32Array} indices the indices to create the buffer with.
+ * @param {String} [usage='STATIC_DRAW'] the usage hint of the buffer (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW).
  * @returns {WebGLBuffer} The created WebGLBuffer.
  */
-function createIndex(gl, indices) {
+function createIndex(gl, indices, usage = 'STATIC_DRAW') {
 	// create the index buffer
 	const indexBuffer = gl.createBuffer();
 
@@ -240,26 +1511,64 @@ function createIndex(gl, indices) {
 
 	gl.bufferData(
 		gl.ELEMENT_ARRAY_BUFFER,
-		Uint16Array.from(indices),
-		gl.STATIC_DRAW
+		indices,
+		gl[usage]
 	);
+	trackResource('buffers', indices.byteLength);
 
 	return indexBuffer;
 }
 
+// default attribute locations, e.g. "layout(location=0) in vec3 position;" in shader code
+const attribLocations = {
+	'position': 0,
+	'color': 1,
+	'uv': 2,
+	'normal': 3,
+	'tangent': 4,
+	// the morph targets of the default WebGLProgram (up to 4 targets)
+	'morphPosition0': 8, 'morphPosition1': 9, 'morphPosition2': 10, 'morphPosition3': 11,
+	'morphNormal0': 12, 'morphNormal1': 13, 'morphNormal2': 14, 'morphNormal3': 15,
+};
+
 /**
- * Returns the attribute location for a given attribute name in the shader.
+ * Registers the default shader location of an attribute name for all geometries.
+ * @param {string} name name of the attribute in the shader (e.g. skinIndex)
+ * @param {number} location the location of the attribute in the shader, as in `layout(location=...)`
+ */
+function registerAttribLocation(name, location) {
+	if (name === 'index' || !Number.isInteger(location) || location < 0) {
+		console.error(`Attribute location ${location} for ${name} in registerAttribLocation is not valid!`);
+		throw new Error(`Attribute location ${location} for ${name} in registerAttribLocation is not valid!`);
+	}
+	attribLocations[name] = location;
+}
+
+// geometry constructors used by fromJSON, by the type stored in the metadata
+const geometryTypes = {
+	'BufferGeometry': BufferGeometry,
+};
+
+/**
+ * Registers the constructor that BufferGeometry.fromJSON uses for a geometry type.
+ * The constructor is called without arguments.
+ * @param {string} type the type of the geometry, as in its `type` property (e.g. InstancedBufferGeometry)
+ * @param {Function} constructor the class of the geometry
+ */
+function registerGeometryType(type, constructor) {
+	if (typeof type !== 'string' || typeof constructor !== 'function') {
+		console.error(`Geometry type ${type} in registerGeometryType is not valid!`);
+		throw new Error(`Geometry type ${type} in registerGeometryType is not valid!`);
+	}
+	geometryTypes[type] = constructor;
+}
+
+/**
+ * Returns the registered attribute location for a given attribute name in the shader.
  * The location number in the vertex shader. e.g. 0 for the position attribute as it is defined as `layout(location=0) in vec3 position;` in the vertex shader.
  * @param {string} name name of the attribute in the shader
- * @returns {number} the location of the attribute in the shader
+ * @returns {number} the location of the attribute in the shader, undefined if the attribute is not known
  */
 function getAttribLocation(name) {
-	switch (name) {
-		case 'position': return 0; // "layout(location=0) in ..." in shader code
-		case 'color': return 1; // "layout(location=1) in ..." in shader code
-		case 'normal': return 1; // "layout(location=1) in ..." in shader code
-		case 'uv': return 2; // "layout(location=2) in ..." in shader code
-		case 'index': return undefined; // an index does not have a location in the shader!
-		default: return undefined; // return undefined if the attribute is not known!
-	}
+	return Object.prototype.hasOwnProperty.call(attribLocations, name) ? attribLocations[name] : undefined;
 }
@@ -0,0 +1,94 @@
+import { BufferGeometry, registerGeometryType } from "./BufferGeometry.js";
+import { isPerInstance } from "./AttributeUtils.js";
+
+/**
+ * A geometry that is drawn several times with one draw call (drawArraysInstanced / drawElementsInstanced).
+ * Per-instance data is added as attributes with a divisor, e.g. { 'array': [...], 'itemSize': 3, 'divisor': 1 } for one offset per instance.
+ */
+class InstancedBufferGeometry extends BufferGeometry {
+
+	constructor() {
+
+		super();
+
+		this.type = 'InstancedBufferGeometry';
+		this.isInstancedBufferGeometry = true;
+
+		this.instanceCount = Infinity; // number of instances to draw, limited by the per-instance attributes
+
+	}
+
+	/**
+	 * Returns the number of instances that are drawn: the instanceCount, limited by the data of the per-instance attributes.
+	 * @returns {number} the number of instances.
+	 */
+	getInstanceCount() {
+
+		let count = this.instanceCount;
+
+		for (var key in this.attributes) {
+			const attribute = this.attributes[key];
+			if (isPerInstance(attribute)) {
+				count = Math.min(count, attribute.count * attribute.divisor);
+			}
+		}
+
+		if (count === Infinity) {
+			console.error(`InstancedBufferGeometry ${this.name} needs an instanceCount or a per-instance attribute!`);
+			throw new Error(`InstancedBufferGeometry ${this.name} needs an instanceCount or a per-instance attribute!`);
+		}
+
+		return count;
+
+	}
+
+	/**
+	 * Creates an empty InstancedBufferGeometry with the same instanceCount, e.g. for toNonIndexed.
+	 * @returns {InstancedBufferGeometry} the empty geometry.
+	 */
+	createEmpty() {
+
+		const geometry = new InstancedBufferGeometry();
+		geometry.instanceCount = this.instanceCount;
+		return geometry;
+
+	}
+
+	/**
+	 * Returns the JSON representation of the geometry (see BufferGeometry.toJSON), including the instanceCount.
+	 * @returns {Object} the JSON object.
+	 */
+	toJSON() {
+
+		const json = super.toJSON();
+		json.data['instanceCount'] = (this.instanceCount === Infinity) ? null : this.instanceCount;
+		return json;
+
+	}
+
+	/**
+	 * Issues the instanced WebGL draw call while the VAO is bound.
+	 * @param {number} mode the primitive type, e.g. gl.TRIANGLES.
+	 * @param {number} start the first vertex (or index) to draw.
+	 * @param {number} count the number of vertices (or indices) to draw.
+	 */
+	drawCall(mode, start, count) {
+
+		const gl = this.gl;
+		const instanceCount = this.getInstanceCount();
+
+		if (instanceCount === 0) return; // nothing to draw
+
+		if (this.hasIndex) { // use index buffer for drawing, the offset is in bytes
+			gl.drawElementsInstanced(mode, count, this.index.type, start * this.index.array.BYTES_PER_ELEMENT, instanceCount);
+		} else { // draw without index buffer 
+			gl.drawArraysInstanced(mode, start, count, instanceCount);
+		}
+
+	}
+
+}
+
+registerGeometryType('InstancedBufferGeometry', InstancedBufferGeometry);
+
+export { InstancedBufferGeometry };
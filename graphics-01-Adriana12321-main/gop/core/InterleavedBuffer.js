@@ -0,0 +1,46 @@
+/**
+ * Vertex data of several attributes that is stored interleaved in one array and uploaded to one WebGLBuffer,
+ * e.g. [x, y, z, nx, ny, nz, u, v, x, y, z, ...] for position, normal and uv.
+ * The attributes reference the buffer with { 'data': interleavedBuffer, 'itemSize': 3, 'offset': 0 } in BufferGeometry.setAttribute.
+ * All attributes of an interleaved buffer share the component type of its typed array.
+ */
+class InterleavedBuffer {
+
+	/**
+	 * Creates an interleaved buffer.
+	 * @param {TypedArray|Array} array the interleaved vertex data. Plain arrays are converted to a Float32Array.
+	 * @param {number} stride the number of array elements per vertex (e.g. 8 for position, normal and uv).
+	 */
+	constructor(array, stride) {
+
+		this.isInterleavedBuffer = true;
+
+		this.array = ArrayBuffer.isView(array) ? array : Float32Array.from(array);
+		this.stride = stride;
+
+		this.usage = 'STATIC_DRAW'; // buffer usage hint (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW)
+		this.needsUpdate = false; // set to true to upload changes of the array
+		this.updateRange = { offset: 0, count: -1 }; // range of the array to upload, count -1 uploads everything
+
+	}
+
+	/**
+	 * The number of vertices stored in the buffer.
+	 * @returns {number} the number of vertices.
+	 */
+	get count() {
+
+		return this.array.length / this.stride;
+
+	}
+
+	setUsage(usage) {
+
+		this.usage = usage;
+		return this;
+
+	}
+
+}
+
+export { InterleavedBuffer };
@@ -0,0 +1,110 @@
+// Shares linked WebGLPrograms between all code that asks for the same shaders.
+// Programs are keyed by their shader sources and defines per WebGL context and counted by their users,
+// a program is deleted when its last user releases it.
+
+import { WebGLProgram } from "./WebGLProgram.js";
+
+const caches = new WeakMap(); // WebGL context -> Map of key -> { program, usedTimes }
+const entries = new Map(); // WebGLProgram -> { gl, key, program, usedTimes }
+
+/**
+ * Returns a linked program for the shaders and defines, compiling it only if no user holds one yet.
+ * Throws an error if the shaders can not be compiled or linked.
+ * Every call has to be paired with a releaseProgram call when the program is no longer needed,
+ * cached programs must not be disposed directly.
+ * @param {WebGL2RenderingContext} gl the WebGL context.
+ * @param {Object} [parameters] the settings of the shaders, as in the WebGLProgram constructor
+ * ({ vertexShader, fragmentShader, defines, morphTargets }). Default: the built-in shaders
+ * @returns {WebGLProgram} the shared program.
+ */
+function getProgram(gl, parameters = {}) {
+
+	let cache = caches.get(gl);
+	if (cache === undefined) {
+		cache = new Map();
+		caches.set(gl, cache);
+	}
+
+	const key = getProgramKey(parameters);
+	let entry = cache.get(key);
+
+	if (entry === undefined) {
+		const program = new WebGLProgram(gl, parameters);
+
+		// a program that failed to compile or link is not cached, the error of the shaders is logged by createProgram
+		if (program.program === null) {
+			console.error(`WebGLProgram in getProgram could not be compiled or linked!`);
+			throw new Error(`WebGLProgram in getProgram could not be compiled or linked!`);
+		}
+
+		entry = { gl, key, program, usedTimes: 0 };
+		cache.set(key, entry);
+		entries.set(program, entry);
+	}
+
+	entry.usedTimes++;
+
+	return entry.program;
+}
+
+/**
+ * Releases a program returned by getProgram. The program is deleted when it has no users anymore.
+ * @param {WebGLProgram} program the program to release.
+ */
+function releaseProgram(program) {
+
+	const entry = entries.get(program);
+	if (entry === undefined) {
+		console.warn(`WebGLProgram in releaseProgram is not cached or has already been released!`);
+		return;
+	}
+
+	entry.usedTimes--;
+
+	if (entry.usedTimes === 0) {
+		caches.get(entry.gl).delete(entry.key);
+		entries.delete(program);
+		program.dispose();
+	}
+}
+
+/**
+ * Returns the number of cached programs and their users, e.g. to find programs that are not released.
+ * @returns {Object} the number of programs and the number of users of all programs.
+ */
+function getProgramCacheInfo() {
+
+	let users = 0;
+	entries.forEach(function (entry) {
+		users += entry.usedTimes;
+	});
+
+	return { programs: entries.size, users };
+}
+
+export {
+	getProgram,
+	releaseProgram,
+	getProgramCacheInfo,
+}
+
+// --- Utilities below ---
+
+/**
+ * Returns the cache key of the shader settings: the sources and the sorted defines (including the morph targets of the built-in shader).
+ * @param {Object} parameters the settings of the shaders.
+ * @returns {string} the key.
+ */
+function getProgramKey(parameters) {
+	const defines = Object.assign({}, parameters.defines);
+	if (parameters.morphTargets !== undefined) defines['MORPH_TARGETS'] = parameters.morphTargets;
+	if (defines['MORPH_TARGETS'] === undefined && parameters.vertexShader === undefined) defines['MORPH_TARGETS'] = 0; // as WebGLProgram does for the built-in shader
+
+	const sortedDefines = Object.keys(defines).sort().map((name) => [name, defines[name]]);
+
+	return JSON.stringify([
+		parameters.vertexShader !== undefined ? parameters.vertexShader : null, // null for the built-in shaders
+		parameters.fragmentShader !== undefined ? parameters.fragmentShader : null,
+		sortedDefines,
+	]);
+}
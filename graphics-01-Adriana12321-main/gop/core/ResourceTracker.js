@@ -0,0 +1,54 @@
+// Bookkeeping of the GPU resources (buffers, vertex arrays and programs) that are currently alive.
+// Everything that creates or deletes WebGL objects in gop/core reports it here, so leaks show up
+// in the numbers returned by getResourceInfo().
+
+const resources = {
+	buffers: 0, // number of live WebGLBuffers
+	vertexArrays: 0, // number of live vertex array objects
+	programs: 0, // number of live WebGLPrograms
+	bytes: 0, // bytes allocated in the live buffers
+};
+
+/**
+ * Records the creation of a resource.
+ * @param {String} kind the kind of resource: 'buffers', 'vertexArrays' or 'programs'.
+ * @param {number} [bytes=0] the bytes allocated for the resource.
+ */
+function trackResource(kind, bytes = 0) {
+	resources[kind]++;
+	resources.bytes += bytes;
+}
+
+/**
+ * Records the deletion of a resource.
+ * @param {String} kind the kind of resource: 'buffers', 'vertexArrays' or 'programs'.
+ * @param {number} [bytes=0] the bytes that were allocated for the resource.
+ */
+function untrackResource(kind, bytes = 0) {
+	resources[kind]--;
+	resources.bytes -= bytes;
+}
+
+/**
+ * Records that the storage of a live buffer was reallocated with a different size.
+ * @param {number} oldBytes the previous size of the buffer in bytes.
+ * @param {number} newBytes the new size of the buffer in bytes.
+ */
+function trackResize(oldBytes, newBytes) {
+	resources.bytes += newBytes - oldBytes;
+}
+
+/**
+ * Returns the number of live GPU resources and the bytes allocated in buffers.
+ * @returns {{buffers: number, vertexArrays: number, programs: number, bytes: number}} a snapshot of the live resources.
+ */
+function getResourceInfo() {
+	return { ...resources };
+}
+
+export {
+	trackResource,
+	untrackResource,
+	trackResize,
+	getResourceInfo,
+}
@@ -1,6 +1,8 @@
 // helper functions to create a WebGL Shader
 // adpated from twgl
 
+import { trackResource } from "./ResourceTracker.js";
+
 const COMPILE_STATUS = 0x8b81;
 const LINK_STATUS = 0x8b82;
 
@@ -71,6 +73,11 @@ function createProgram(gl, shaders) {
       const src = elem ? elem.text : shader;
       let type = gl[defaultShaderType[ndx]];
       shader = loadShader(gl, src, type, defaultShaderType[ndx]);
+      if (shader === null) {
+        // compile error (already logged), free the shaders that did compile
+        deleteShaders(gl, realShaders);
+        return null;
+      }
       realShaders.push(shader);
     }
   }
@@ -93,6 +100,7 @@ function createProgram(gl, shaders) {
     return null;
   }
 
+  trackResource('programs');
   return program;
 }
 
@@ -0,0 +1,323 @@
+import { trackResource, untrackResource } from "./ResourceTracker.js";
+
+/**
+ * The values of a uniform block, laid out with the std140 rules in a UNIFORM_BUFFER that is shared by all programs
+ * which declare the block, e.g. for camera matrices or lights:
+ *
+ *     layout(std140) uniform Camera { mat4 viewMatrix; mat4 projectionMatrix; vec3 position; };
+ *
+ *     const camera = new UniformBuffer('Camera', { viewMatrix: new Matrix4(), projectionMatrix: new Matrix4(), position: new Vector3() });
+ *     program.setUniformBuffer(camera); // once per program
+ *     camera.update(gl); // once per frame, after changing camera.uniforms
+ *
+ * The GLSL types of the members are derived from the initial values:
+ * - number: float, boolean: bool
+ * - Vector2: vec2, Vector3 and Color: vec3, Vector4 and Quaternion: vec4, Matrix3: mat3, Matrix4: mat4
+ * - Float32Array, Int32Array and Uint32Array with 1 to 4 elements: float/vecN, int/ivecN and uint/uvecN
+ * - Array: an array of the type of its first element, e.g. [new Vector3(), new Vector3()] for vec3[2]
+ * - plain object: a struct with the members of the object, e.g. { position: new Vector3(), intensity: 1 }
+ */
+class UniformBuffer {
+
+	/**
+	 * Creates a uniform buffer. The layout is fixed by the initial values, later values must have the same types and array lengths.
+	 * @param {string} name the name of the uniform block in the shaders.
+	 * @param {Object} uniforms the values of the members of the block by name.
+	 * @param {string} [usage='DYNAMIC_DRAW'] buffer usage hint (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW).
+	 */
+	constructor(name, uniforms, usage = 'DYNAMIC_DRAW') {
+
+		this.name = name;
+		this.type = 'UniformBuffer';
+		this.isUniformBuffer = true;
+
+		this.uniforms = uniforms; // the values, written to the buffer by update()
+		this.usage = usage;
+
+		this.layout = createLayout(uniforms, 0, name); // the std140 offsets of all members
+		this.byteLength = roundUp(this.layout.size, 16);
+		this.data = new ArrayBuffer(this.byteLength);
+
+		this.bindingPoint = -1; // the uniform buffer binding point, assigned by init()
+		this.buffer = null;
+		this.gl = null;
+
+	}
+
+	/**
+	 * Creates the UNIFORM_BUFFER, binds it to its own binding point and uploads the values.
+	 * Called by WebGLProgram.setUniformBuffer, so it is usually not called directly.
+	 * @param {WebGL2RenderingContext} gl the WebGL2 context.
+	 */
+	init(gl) {
+
+		if (this.buffer !== null) return;
+
+		// Verify that we have a WebGL2 context (uniform buffers are not part of WebGL1)
+		if (typeof gl.bindBufferBase !== 'function') {
+			console.error(`Uniform buffer ${this.name} requires a WebGL2 context!`);
+			throw new Error(`Uniform buffer ${this.name} requires a WebGL2 context!`);
+		}
+
+		this.bindingPoint = allocateBindingPoint(gl, this.name);
+		this.gl = gl;
+
+		this.buffer = gl.createBuffer();
+		gl.bindBuffer(gl.UNIFORM_BUFFER, this.buffer);
+		gl.bufferData(gl.UNIFORM_BUFFER, this.byteLength, gl[this.usage]);
+		gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+		trackResource('buffers', this.byteLength);
+
+		gl.bindBufferBase(gl.UNIFORM_BUFFER, this.bindingPoint, this.buffer);
+
+		this.update();
+
+	}
+
+	/**
+	 * Writes the current values of `uniforms` to the buffer and uploads it.
+	 * @param {WebGL2RenderingContext} [_gl=null] the WebGL2 context, needed if the buffer has not been initialized yet.
+	 */
+	update(_gl = null) {
+
+		if (this.buffer === null) {
+			if (_gl === null) {
+				console.error(`Uniform buffer ${this.name} has not been initialized before the update!`);
+				throw new Error(`Uniform buffer ${this.name} has not been initialized before the update!`);
+			}
+			this.init(_gl); // uploads the values
+			return;
+		}
+
+		writeValue(this.layout, this.uniforms, new DataView(this.data), this.name);
+
+		const gl = this.gl;
+		gl.bindBuffer(gl.UNIFORM_BUFFER, this.buffer);
+		gl.bufferSubData(gl.UNIFORM_BUFFER, 0, this.data);
+		gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+
+	}
+
+	/**
+	 * Returns the byte offset of a member in the buffer, e.g. for `lights[1].color`.
+	 * @param {string} name the name of the member.
+	 * @returns {number} the offset in bytes, -1 if the block has no such member.
+	 */
+	getOffset(name) {
+
+		let node = this.layout;
+
+		for (const part of name.match(/[^.[\]]+/g) || []) {
+			if (node.kind === 'array' && /^\d+$/.test(part) && Number(part) < node.length) {
+				node = node.elements[Number(part)];
+			} else if (node.kind === 'struct' && node.members[part] !== undefined) {
+				node = node.members[part];
+			} else {
+				return -1;
+			}
+		}
+
+		return node.offset;
+
+	}
+
+	/**
+	 * Deletes the buffer and frees its binding point. The uniform buffer is initialized again by the next setUniformBuffer.
+	 */
+	dispose() {
+
+		if (this.buffer === null) return;
+
+		this.gl.deleteBuffer(this.buffer);
+		untrackResource('buffers', this.byteLength);
+		usedBindingPoints.delete(this.bindingPoint);
+
+		this.buffer = null;
+		this.bindingPoint = -1;
+		this.gl = null;
+
+	}
+
+}
+
+export { UniformBuffer };
+
+// --- Utilities below ---
+
+// the binding points of the live uniform buffers
+const usedBindingPoints = new Set();
+
+function allocateBindingPoint(gl, name) {
+	const maxBindings = gl.getParameter(gl.MAX_UNIFORM_BUFFER_BINDINGS) || 24; // at least 24 in WebGL2
+
+	for (let point = 0; point < maxBindings; point++) {
+		if (!usedBindingPoints.has(point)) {
+			usedBindingPoints.add(point);
+			return point;
+		}
+	}
+
+	console.error(`No free uniform buffer binding point for ${name}, all ${maxBindings} are used!`);
+	throw new Error(`No free uniform buffer binding point for ${name}, all ${maxBindings} are used!`);
+}
+
+function roundUp(value, alignment) {
+	return Math.ceil(value / alignment) * alignment;
+}
+
+// the DataView setters of the 4 byte component types
+const componentTypes = {
+	'float': { setter: 'setFloat32' },
+	'int': { setter: 'setInt32' },
+	'uint': { setter: 'setUint32' },
+	'bool': { setter: 'setUint32' },
+};
+
+const vectorPrefixes = { 'float': 'vec', 'int': 'ivec', 'uint': 'uvec', 'bool': 'bvec' };
+
+/**
+ * Returns the std140 layout of a value: its kind, GLSL type, offset, size and base alignment in bytes.
+ * Arrays and structs also hold the layout of their elements and members.
+ * @param {*} value the value of the member.
+ * @param {number} offset the next free byte offset, the member is aligned from there.
+ * @param {string} name the name of the member for error messages.
+ * @returns {Object} the layout.
+ */
+function createLayout(value, offset, name) {
+
+	// vectors and scalars: 4 byte components, aligned to their size (vec3 like vec4)
+	const vector = getVectorType(value);
+	if (vector !== null) {
+		const align = (vector.length === 1) ? 4 : (vector.length === 2) ? 8 : 16;
+		const type = (vector.length === 1) ? vector.component : vectorPrefixes[vector.component] + vector.length;
+		return { kind: 'vector', type, component: vector.component, length: vector.length, offset: roundUp(offset, align), size: vector.length * 4, align };
+	}
+
+	// matrices: arrays of column vectors, every column aligned to 16 bytes
+	if (value !== null && typeof value === 'object' && (value.isMatrix3 || value.isMatrix4)) {
+		const n = value.isMatrix3 ? 3 : 4;
+		return { kind: 'matrix', type: `mat${n}`, columns: n, offset: roundUp(offset, 16), size: n * 16, align: 16 };
+	}
+
+	// arrays: every element aligned to 16 bytes
+	if (Array.isArray(value)) {
+		if (value.length === 0 || Array.isArray(value[0])) {
+			console.error(`Uniform buffer member ${name} must be a non-empty array of values (arrays of arrays are not supported in GLSL ES 3.0)!`);
+			throw new Error(`Uniform buffer member ${name} must be a non-empty array of values (arrays of arrays are not supported in GLSL ES 3.0)!`);
+		}
+
+		const start = roundUp(offset, 16);
+		const first = createLayout(value[0], 0, `${name}[0]`);
+		const stride = roundUp(first.size, 16);
+		const elements = value.map((element, i) => createLayout(element, start + i * stride, `${name}[${i}]`));
+
+		return { kind: 'array', type: `${first.type}[${value.length}]`, length: value.length, elements, offset: start, size: stride * value.length, align: 16 };
+	}
+
+	// structs: aligned to 16 bytes, the size is padded to 16 bytes
+	if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+		const start = roundUp(offset, 16);
+		const members = {};
+		let end = start;
+
+		for (var key in value) {
+			const member = createLayout(value[key], end, `${name}.${key}`);
+			members[key] = member;
+			end = member.offset + member.size;
+		}
+
+		return { kind: 'struct', type: 'struct', members, offset: start, size: roundUp(end - start, 16), align: 16 };
+	}
+
+	console.error(`Uniform buffer member ${name} has a value of type '${value === null ? 'null' : value.constructor.name}', which is not supported!`);
+	throw new Error(`Uniform buffer member ${name} has a value of type '${value === null ? 'null' : value.constructor.name}', which is not supported!`);
+}
+
+/**
+ * Returns the component type and number of components of a scalar or vector value, null for other values.
+ */
+function getVectorType(value) {
+	if (typeof value === 'number') return { component: 'float', length: 1 };
+	if (typeof value === 'boolean') return { component: 'bool', length: 1 };
+	if (value === null || typeof value !== 'object') return null;
+
+	if (value.isVector2) return { component: 'float', length: 2 };
+	if (value.isVector3 || value.isColor) return { component: 'float', length: 3 };
+	if (value.isVector4 || value.isQuaternion) return { component: 'float', length: 4 };
+
+	if (ArrayBuffer.isView(value) && value.length >= 1 && value.length <= 4) {
+		if (value instanceof Float32Array) return { component: 'float', length: value.length };
+		if (value instanceof Int32Array) return { component: 'int', length: value.length };
+		if (value instanceof Uint32Array) return { component: 'uint', length: value.length };
+	}
+
+	return null;
+}
+
+/**
+ * Returns the components of a scalar or vector value.
+ */
+function getComponents(value) {
+	if (typeof value === 'number') return [value];
+	if (typeof value === 'boolean') return [value ? 1 : 0];
+	if (value.isColor) return [value.r, value.g, value.b];
+	if (value.isVector2) return [value.x, value.y];
+	if (value.isVector3) return [value.x, value.y, value.z];
+	if (value.isVector4 || value.isQuaternion) return [value.x, value.y, value.z, value.w];
+	return value;
+}
+
+/**
+ * Writes a value to the buffer data at the offsets of its layout (little-endian, as WebGL expects).
+ * @param {Object} layout the layout of the value.
+ * @param {*} value the value.
+ * @param {DataView} view the view of the buffer data.
+ * @param {string} name the name of the member for error messages.
+ */
+function writeValue(layout, value, view, name) {
+
+	const mismatch = () => {
+		console.error(`Uniform buffer member ${name} was created as ${layout.type} and can not be set to this value!`);
+		throw new Error(`Uniform buffer member ${name} was created as ${layout.type} and can not be set to this value!`);
+	};
+
+	switch (layout.kind) {
+		case 'vector': {
+			const vector = getVectorType(value);
+			if (vector === null || vector.length !== layout.length) mismatch();
+
+			const components = getComponents(value);
+			const setter = componentTypes[layout.component].setter;
+			for (let i = 0; i < layout.length; i++) {
+				view[setter](layout.offset + i * 4, components[i], true);
+			}
+			break;
+		}
+		case 'matrix': {
+			if (value === null || typeof value !== 'object' || (layout.columns === 3 ? !value.isMatrix3 : !value.isMatrix4)) mismatch();
+
+			// the elements are column-major, every column starts at a multiple of 16 bytes
+			const n = layout.columns;
+			for (let column = 0; column < n; column++) {
+				for (let row = 0; row < n; row++) {
+					view.setFloat32(layout.offset + column * 16 + row * 4, value.elements[column * n + row], true);
+				}
+			}
+			break;
+		}
+		case 'array': {
+			if (!Array.isArray(value) || value.length !== layout.length) mismatch();
+
+			layout.elements.forEach((element, i) => writeValue(element, value[i], view, `${name}[${i}]`));
+			break;
+		}
+		case 'struct': {
+			if (value === null || typeof value !== 'object') mismatch();
+
+			for (var key in layout.members) {
+				writeValue(layout.members[key], value[key], view, `${name}.${key}`);
+			}
+			break;
+		}
+	}
+}
@@ -1,18 +1,51 @@
 import { createProgram } from "./ShaderHelper.js";
+import { untrackResource } from "./ResourceTracker.js";
 
 const vs = `#version 300 es
 layout(location=0) in vec3 position;
 layout(location=1) in vec3 color;
 uniform mat4 modelMatrix;
 
+// morph targets: position deltas blended with their influences (MORPH_TARGETS is defined by WebGLProgram)
+#if MORPH_TARGETS > 0
+layout(location=8) in vec3 morphPosition0;
+uniform float morphTargetInfluences[MORPH_TARGETS];
+#endif
+#if MORPH_TARGETS > 1
+layout(location=9) in vec3 morphPosition1;
+#endif
+#if MORPH_TARGETS > 2
+layout(location=10) in vec3 morphPosition2;
+#endif
+#if MORPH_TARGETS > 3
+layout(location=11) in vec3 morphPosition3;
+#endif
+
 out vec3 v_color;
 
 void main() {
-  gl_Position = modelMatrix * vec4( position, 1.0 );
+  vec3 transformed = position;
+#if MORPH_TARGETS > 0
+  transformed += morphPosition0 * morphTargetInfluences[0];
+#endif
+#if MORPH_TARGETS > 1
+  transformed += morphPosition1 * morphTargetInfluences[1];
+#endif
+#if MORPH_TARGETS > 2
+  transformed += morphPosition2 * morphTargetInfluences[2];
+#endif
+#if MORPH_TARGETS > 3
+  transformed += morphPosition3 * morphTargetInfluences[3];
+#endif
+
+  gl_Position = modelMatrix * vec4( transformed, 1.0 );
   v_color = color;
 }
 `;
 
+// the number of morph targets the default vertex shader can blend (see the morph attribute locations of BufferGeometry)
+const MAX_MORPH_TARGETS = 4;
+
 const fs = `#version 300 es
 precision highp float;
 
@@ -31,16 +64,23 @@ void main() {
 
 
 /**
- * The WebGLProgram of a vertex and fragment shader.
+ * The WebGLProgram of a vertex and fragment shader, the built-in ones or custom shaders.
  */
 class WebGLProgram {
 
 	/**
-	 * Creates a WebGLProgram with a vertex and fragment shader.
+	 * Creates a WebGLProgram with a vertex and fragment shader, by default the built-in shaders of this module.
 	 * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+	 * @param {Object} [parameters] optional settings of the shaders:
+	 * - vertexShader: the GLSL source of the vertex shader. Default: the built-in vertex shader
+	 * - fragmentShader: the GLSL source of the fragment shader. Default: the built-in fragment shader
+	 * - defines: macros that are defined in both shaders after the #version line, e.g. { USE_FOG: true, LIGHTS: 3 }.
+	 *   `true` defines the macro without a value, `false` leaves it undefined. Default: {}
+	 * - morphTargets: the number of morph targets that are blended with the uniform `morphTargetInfluences`, defined as MORPH_TARGETS.
+	 *   The built-in vertex shader supports 0 to 4. Custom shaders only get MORPH_TARGETS if morphTargets is set. Default: defines.MORPH_TARGETS or 0
 	 * @returns 
 	 */
-	constructor(gl) {
+	constructor(gl, parameters = {}) {
 
 		// Verify that we have a valid WebGL context
 		if (typeof gl.getParameter !== 'function' /*not a valid gl context*/) {
@@ -48,12 +88,46 @@ class WebGLProgram {
 			throw new Error(`OpenGL context in constructor of WebGLProgram is not valid!`);
 		}
 
+		const vertexShader = parameters.vertexShader !== undefined ? parameters.vertexShader : vs;
+		const fragmentShader = parameters.fragmentShader !== undefined ? parameters.fragmentShader : fs;
+		if (typeof vertexShader !== 'string' || typeof fragmentShader !== 'string') {
+			console.error(`Shaders in constructor of WebGLProgram must be GLSL source strings!`);
+			throw new Error(`Shaders in constructor of WebGLProgram must be GLSL source strings!`);
+		}
+
+		const defines = Object.assign({}, parameters.defines);
+		for (var name in defines) {
+			if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+				console.error(`Define ${name} in constructor of WebGLProgram is not a valid macro name!`);
+				throw new Error(`Define ${name} in constructor of WebGLProgram is not a valid macro name!`);
+			}
+		}
+
+		let morphTargets = 0;
+		if (parameters.morphTargets !== undefined) morphTargets = parameters.morphTargets;
+		else if (defines['MORPH_TARGETS'] !== undefined) morphTargets = defines['MORPH_TARGETS'];
+
+		const maxMorphTargets = (vertexShader === vs) ? MAX_MORPH_TARGETS : Infinity;
+		if (!Number.isInteger(morphTargets) || morphTargets < 0 || morphTargets > maxMorphTargets) {
+			console.error(`Number of morph targets ${morphTargets} in constructor of WebGLProgram is not valid (0 to ${maxMorphTargets})!`);
+			throw new Error(`Number of morph targets ${morphTargets} in constructor of WebGLProgram is not valid (0 to ${maxMorphTargets})!`);
+		}
+		// custom shaders only get the define if they ask for morph targets, they may define MORPH_TARGETS themselves
+		if (vertexShader === vs || parameters.morphTargets !== undefined) defines['MORPH_TARGETS'] = morphTargets;
+
+		this.isWebGLProgram = true;
+
 		this.gl = gl;
-		this.vertexShader = vs;
-		this.fragmentShader = fs;
+		this.defines = defines;
+		this.morphTargets = morphTargets;
+		this.vertexShader = addDefines(vertexShader, defines);
+		this.fragmentShader = addDefines(fragmentShader, defines);
 
 		this.program = createProgram(gl, [this.vertexShader, this.fragmentShader]);
 
+		// the active uniforms by name with their location and GL type, enumerated once after linking
+		this.uniforms = (this.program !== null) ? getActiveUniforms(gl, this.program) : {};
+
 
 		return this;
 
@@ -80,51 +154,283 @@ class WebGLProgram {
 	}
 
 	/**
-	 * Specify values for the uniforms.
+	 * Deletes the program and its shaders. The WebGLProgram can not be used afterwards.
+	 */
+	dispose() {
+
+		if (this.program === null) return;
+
+		const gl = this.gl;
+		const shaders = gl.getAttachedShaders(this.program) || [];
+		shaders.forEach(function (shader) {
+			gl.detachShader(this.program, shader);
+			gl.deleteShader(shader);
+		}, this);
+
+		gl.deleteProgram(this.program);
+		untrackResource('programs');
+		this.program = null;
+
+	}
+
+	/**
+	 * Returns the location of an attribute in the linked program.
+	 * @param {string} name the name of the attribute variable in the vertex shader.
+	 * @returns {number} the location of the attribute or -1 if the attribute is not used by the program.
+	 */
+	getAttribLocation(name) {
+
+		return this.gl.getAttribLocation(this.program, name);
+
+	}
+
+	/**
+	 * Specify values for the uniforms. The value is converted for the type that is declared in the shader
+	 * (e.g. a boolean for a `bool` or a number for an `int` uniform) and set with the matching uniform* function.
+	 * - Samplers are set to the number of their texture unit, e.g. 0 for gl.TEXTURE0.
+	 * - Arrays set arrays of uniforms, either flat ([x0, y0, z0, x1, y1, z1]) or as list of values ([vector0, vector1])
+	 *   for `uniform vec3 points[2]`. Single elements are set with their index, e.g. `points[1]`.
+	 * - Struct members are set by their full name, e.g. `lights[2].position`, or all at once with an object
+	 *   (`setUniform('lights[2]', { position, color })`) or a list of objects (`setUniform('lights', [light0, light1])`).
 	 * @param {string} name the name of the uniform variable in the shaders.
-	 * @param {(number|Array|Matrix|Color|Vector)} value the value to set the uniform to. Can be a number, array, color, vector or matrix.
+	 * @param {(number|boolean|Array|TypedArray|Matrix|Color|Vector|Quaternion|Object)} value the value to set the uniform to.
 	 */
 	setUniform(name, value) {
 
-		// find the uniform location by its name
-		const loc = this.gl.getUniformLocation(this.program, name);
-		if (loc === null) {
+		const uniform = this.getUniformInfo(name);
+		if (uniform === undefined) {
+			if (isStruct(value)) {
+				for (var key in value) {
+					this.setUniform(`${name}.${key}`, value[key]);
+				}
+				return;
+			}
+			if (Array.isArray(value) && value.length > 0 && value.every(isStruct)) {
+				value.forEach(function (element, i) {
+					this.setUniform(`${name}[${i}]`, element);
+				}, this);
+				return;
+			}
+
 			console.warn(`Uniform '${name}' not found in WebGLProgram! It might be unused and optimized out.`);
 			return;
 		}
 
-		// get the uniform type and its length (useful for color!)
-		const type = this.gl.getUniform(this.program, loc);
-		const uniformLength = (type.length);
-
-		// set the uniform value by using the appropriate uniform[1234][uif][v] function
-		if (typeof value === "number") {
-			this.gl.uniform1f(loc, value);
-		} else if (typeof value === "boolean") {
-			this.gl.uniform1f(loc, value ? 1.0 : 0.0);
-		} else if (value instanceof Array) {
-			const len = value.length;
-			const uniformCall = `uniform${len}fv`;
-			this.gl[uniformCall](loc, value);
-		} else if (value.isColor) {
-			const uniformCall = `uniform${uniformLength}f`; // use length to deal with vec3 and vec4 colors!
-			this.gl[uniformCall](loc, value.r, value.g, value.b, 1.0);
-		} else if (value.isMatrix4) {
-			this.gl.uniformMatrix4fv(loc, false, value.elements);
-		} else if (value.isMatrix3) {
-			this.gl.uniformMatrix3fv(loc, false, value.elements);
-		} else if (value.isVector3) {
-			this.gl.uniform3f(loc, value.x, value.y, value.z);
-		} else if (value.isVector4) {
-			this.gl.uniform4f(loc, value.x, value.y, value.z, value.w);
-		} else {
-			console.warn(`Value of type '${value.constructor.name}' not supported by WebGLProgram.setUniform!`);
+		const type = uniformTypes[uniform.type];
+		if (type === undefined) {
+			console.error(`Uniform '${name}' has the GL type 0x${uniform.type.toString(16)}, which is not supported by WebGLProgram.setUniform!`);
+			throw new Error(`Uniform '${name}' has the GL type 0x${uniform.type.toString(16)}, which is not supported by WebGLProgram.setUniform!`);
+		}
+
+		const data = toUniformData(value, type);
+		const declaration = (uniform.size > 1) ? `${type.name}[${uniform.size}]` : type.name;
+		if (data === null || data.length === 0 || data.length % type.size !== 0 || data.length > type.size * uniform.size) {
+			const description = (data === null) ? `a value of type '${(value === null || value === undefined) ? String(value) : value.constructor.name}'` : `${data.length} component${data.length === 1 ? '' : 's'}`;
+			console.error(`Uniform '${name}' is declared as ${declaration} and can not be set to ${description}!`);
+			throw new Error(`Uniform '${name}' is declared as ${declaration} and can not be set to ${description}!`);
+		}
+
+		if (type.kind === 'int' || type.kind === 'uint' || type.kind === 'sampler') {
+			for (let i = 0; i < data.length; i++) {
+				if (!Number.isInteger(data[i]) || (type.kind !== 'int' && data[i] < 0)) {
+					console.error(`Uniform '${name}' is declared as ${declaration} and can not be set to the value ${data[i]}!`);
+					throw new Error(`Uniform '${name}' is declared as ${declaration} and can not be set to the value ${data[i]}!`);
+				}
+			}
 		}
 
+		// set the uniform value by using the appropriate uniform[1234][f|i|ui]v or uniformMatrix*fv function
 		// see https://developer.mozilla.org/en-US/docs/Web/API/WebGL2RenderingContext/uniform
-		// for more info on the different types/possibilites of setting uniforms.
+		if (type.kind === 'matrix') {
+			this.gl[type.setter](uniform.location, false, data);
+		} else if (type.kind === 'bool') {
+			this.gl[type.setter](uniform.location, Array.from(data, (v) => v ? 1 : 0));
+		} else {
+			this.gl[type.setter](uniform.location, data);
+		}
+	}
+
+	/**
+	 * Binds a UniformBuffer to a uniform block of the program, which has to be declared with `layout(std140)`.
+	 * The binding stays until the program is deleted, so this is needed once per program and buffer,
+	 * the values are updated for all programs with UniformBuffer.update.
+	 * @param {UniformBuffer} uniformBuffer the uniform buffer, initialized if needed.
+	 * @param {string} [blockName] the name of the uniform block in the shaders. Default: the name of the uniform buffer
+	 */
+	setUniformBuffer(uniformBuffer, blockName = uniformBuffer.name) {
+
+		const gl = this.gl;
+
+		const blockIndex = gl.getUniformBlockIndex(this.program, blockName);
+		if (blockIndex === gl.INVALID_INDEX) {
+			console.warn(`Uniform block '${blockName}' not found in WebGLProgram! It might be unused and optimized out.`);
+			return;
+		}
+
+		const blockSize = gl.getActiveUniformBlockParameter(this.program, blockIndex, gl.UNIFORM_BLOCK_DATA_SIZE);
+		if (blockSize > uniformBuffer.byteLength) {
+			console.error(`Uniform block '${blockName}' needs ${blockSize} bytes, but the uniform buffer ${uniformBuffer.name} only has ${uniformBuffer.byteLength}! Are the members the same and is the block declared with layout(std140)?`);
+			throw new Error(`Uniform block '${blockName}' needs ${blockSize} bytes, but the uniform buffer ${uniformBuffer.name} only has ${uniformBuffer.byteLength}!`);
+		}
+
+		uniformBuffer.init(gl);
+		gl.uniformBlockBinding(this.program, blockIndex, uniformBuffer.bindingPoint);
+
+	}
+
+	/**
+	 * Returns the location, GL type and array size of an active uniform.
+	 * Elements of arrays that are not reflected by name (e.g. `points[2]`) are looked up once and cached.
+	 * @param {string} name the name of the uniform, e.g. `modelMatrix`, `points[2]` or `lights[1].color`.
+	 * @returns {Object|undefined} the uniform ({ location, type, size }), undefined if it is not active.
+	 */
+	getUniformInfo(name) {
+
+		let uniform = this.uniforms[name];
+
+		const element = (uniform === undefined) ? /^(.*)\[(\d+)\]$/.exec(name) : null;
+		if (element !== null) {
+			const array = this.uniforms[element[1] + '[0]'];
+			const index = parseInt(element[2], 10);
+
+			if (array !== undefined && index < array.size) {
+				uniform = { location: this.gl.getUniformLocation(this.program, name), type: array.type, size: array.size - index };
+				this.uniforms[name] = uniform;
+			}
+		}
+
+		return uniform;
+
 	}
 
 }
 
 export { WebGLProgram };
+
+// --- Utilities below ---
+
+// the GL types of uniforms: the GLSL name, the number of components, the uniform* function and how the values are passed
+const uniformTypes = {
+	0x1406: { name: 'float', size: 1, setter: 'uniform1fv', kind: 'float' },
+	0x8B50: { name: 'vec2', size: 2, setter: 'uniform2fv', kind: 'float' },
+	0x8B51: { name: 'vec3', size: 3, setter: 'uniform3fv', kind: 'float' },
+	0x8B52: { name: 'vec4', size: 4, setter: 'uniform4fv', kind: 'float' },
+	0x1404: { name: 'int', size: 1, setter: 'uniform1iv', kind: 'int' },
+	0x8B53: { name: 'ivec2', size: 2, setter: 'uniform2iv', kind: 'int' },
+	0x8B54: { name: 'ivec3', size: 3, setter: 'uniform3iv', kind: 'int' },
+	0x8B55: { name: 'ivec4', size: 4, setter: 'uniform4iv', kind: 'int' },
+	0x1405: { name: 'uint', size: 1, setter: 'uniform1uiv', kind: 'uint' },
+	0x8DC6: { name: 'uvec2', size: 2, setter: 'uniform2uiv', kind: 'uint' },
+	0x8DC7: { name: 'uvec3', size: 3, setter: 'uniform3uiv', kind: 'uint' },
+	0x8DC8: { name: 'uvec4', size: 4, setter: 'uniform4uiv', kind: 'uint' },
+	0x8B56: { name: 'bool', size: 1, setter: 'uniform1iv', kind: 'bool' },
+	0x8B57: { name: 'bvec2', size: 2, setter: 'uniform2iv', kind: 'bool' },
+	0x8B58: { name: 'bvec3', size: 3, setter: 'uniform3iv', kind: 'bool' },
+	0x8B59: { name: 'bvec4', size: 4, setter: 'uniform4iv', kind: 'bool' },
+	0x8B5A: { name: 'mat2', size: 4, setter: 'uniformMatrix2fv', kind: 'matrix' },
+	0x8B5B: { name: 'mat3', size: 9, setter: 'uniformMatrix3fv', kind: 'matrix' },
+	0x8B5C: { name: 'mat4', size: 16, setter: 'uniformMatrix4fv', kind: 'matrix' },
+	0x8B65: { name: 'mat2x3', size: 6, setter: 'uniformMatrix2x3fv', kind: 'matrix' },
+	0x8B66: { name: 'mat2x4', size: 8, setter: 'uniformMatrix2x4fv', kind: 'matrix' },
+	0x8B67: { name: 'mat3x2', size: 6, setter: 'uniformMatrix3x2fv', kind: 'matrix' },
+	0x8B68: { name: 'mat3x4', size: 12, setter: 'uniformMatrix3x4fv', kind: 'matrix' },
+	0x8B69: { name: 'mat4x2', size: 8, setter: 'uniformMatrix4x2fv', kind: 'matrix' },
+	0x8B6A: { name: 'mat4x3', size: 12, setter: 'uniformMatrix4x3fv', kind: 'matrix' },
+	0x8B5E: { name: 'sampler2D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8B5F: { name: 'sampler3D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8B60: { name: 'samplerCube', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8B62: { name: 'sampler2DShadow', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DC1: { name: 'sampler2DArray', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DC4: { name: 'sampler2DArrayShadow', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DC5: { name: 'samplerCubeShadow', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DCA: { name: 'isampler2D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DCB: { name: 'isampler3D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DCC: { name: 'isamplerCube', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DCF: { name: 'isampler2DArray', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DD2: { name: 'usampler2D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DD3: { name: 'usampler3D', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DD4: { name: 'usamplerCube', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+	0x8DD7: { name: 'usampler2DArray', size: 1, setter: 'uniform1iv', kind: 'sampler' },
+};
+
+/**
+ * Returns the active uniforms of a linked program by name. Arrays are found by their name with and without `[0]`.
+ * Uniforms in uniform blocks have no location and are left out.
+ * @param {WebGL2RenderingContext} gl the WebGL context.
+ * @param {WebGLProgram} program the linked WebGL program.
+ * @returns {Object} the uniforms ({ location, type, size }) by name.
+ */
+function getActiveUniforms(gl, program) {
+	const uniforms = {};
+	const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+
+	for (let i = 0; i < count; i++) {
+		const info = gl.getActiveUniform(program, i);
+		const location = gl.getUniformLocation(program, info.name);
+		if (location === null) continue;
+
+		const uniform = { location, type: info.type, size: info.size };
+		uniforms[info.name] = uniform;
+		if (info.name.endsWith('[0]')) uniforms[info.name.slice(0, -3)] = uniform;
+	}
+
+	return uniforms;
+}
+
+/**
+ * Converts a value for setUniform to the flat list of its components.
+ * @param {*} value the value.
+ * @param {Object} type the uniform type (see uniformTypes).
+ * @returns {Array|TypedArray|null} the components, null if the value is not supported.
+ */
+function toUniformData(value, type) {
+	if (typeof value === 'number') return [value];
+	if (typeof value === 'boolean') return [value ? 1 : 0];
+	if (value === null || typeof value !== 'object') return null;
+	if (ArrayBuffer.isView(value)) return value;
+	if (Array.isArray(value)) {
+		if (value.every((v) => typeof v === 'number')) return value;
+
+		// a list of values for an array of uniforms, e.g. [vector0, vector1]
+		const data = [];
+		for (const element of value) {
+			const elementData = toUniformData(element, type);
+			if (elementData === null) return null;
+			for (let i = 0; i < elementData.length; i++) data.push(elementData[i]);
+		}
+		return data;
+	}
+	if (value.isColor) return (type.size === 4) ? [value.r, value.g, value.b, 1.0] : [value.r, value.g, value.b]; // vec3 and vec4 colors
+	if (value.isVector2) return [value.x, value.y];
+	if (value.isVector3) return [value.x, value.y, value.z];
+	if (value.isVector4 || value.isQuaternion) return [value.x, value.y, value.z, value.w];
+	if (value.isMatrix3 || value.isMatrix4) return value.elements;
+
+	return null;
+}
+
+/**
+ * Returns if a value is a plain object with the values of the members of a struct uniform.
+ * @param {*} value the value.
+ * @returns {boolean} true for plain objects.
+ */
+function isStruct(value) {
+	return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Inserts #define lines after the #version line of a shader.
+ * @param {string} source the shader source.
+ * @param {Object} defines the defines by name, e.g. { MORPH_TARGETS: 2, USE_FOG: true }. Defines that are false are left out.
+ * @returns {string} the shader source with the defines.
+ */
+function addDefines(source, defines) {
+	const lines = Object.keys(defines)
+		.filter((name) => defines[name] !== false && defines[name] !== undefined && defines[name] !== null)
+		.map((name) => (defines[name] === true) ? `#define ${name}\n` : `#define ${name} ${defines[name]}\n`)
+		.join('');
+	const version = source.match(/^\s*#version[^\n]*\n/); // may follow leading whitespace, e.g. of a template literal
+	const versionEnd = (version !== null) ? version[0].length : 0;
+
+	return source.slice(0, versionEnd) + lines + source.slice(versionEnd);
+}
@@ -0,0 +1,239 @@
+import { Vector2 } from "../math/Vector2.js";
+
+/**
+ * A 2D path made of lines, quadratic and cubic Bézier curves and arcs, drawn like on a canvas:
+ * every segment starts at the end point of the previous one.
+ */
+class Path {
+
+	/**
+	 * Creates a path.
+	 * @param {Vector2[]} [points] optional points to connect with lines.
+	 */
+	constructor(points) {
+
+		this.type = 'Path';
+		this.isPath = true;
+
+		this.segments = []; // { type: 'line' | 'quadratic' | 'cubic' | 'arc', ... }
+		this.currentPoint = new Vector2();
+
+		if (points !== undefined) {
+			this.setFromPoints(points);
+		}
+
+	}
+
+	/**
+	 * Replaces the path by lines through the given points.
+	 * @param {Vector2[]} points the points.
+	 * @returns {Path} this path.
+	 */
+	setFromPoints(points) {
+
+		this.segments = [];
+		this.moveTo(points[0].x, points[0].y);
+
+		for (let i = 1; i < points.length; i++) {
+			this.lineTo(points[i].x, points[i].y);
+		}
+
+		return this;
+
+	}
+
+	/**
+	 * Moves the current point without drawing. Only valid at the start of the path, as a path has one outline.
+	 * @param {number} x the x coordinate.
+	 * @param {number} y the y coordinate.
+	 * @returns {Path} this path.
+	 */
+	moveTo(x, y) {
+
+		if (this.segments.length > 0) {
+			console.error(`moveTo can only be used at the start of a ${this.type}, use a new ${this.type} for another outline!`);
+			throw new Error(`moveTo can only be used at the start of a ${this.type}!`);
+		}
+
+		this.currentPoint.set(x, y);
+		return this;
+
+	}
+
+	lineTo(x, y) {
+
+		this.segments.push({ type: 'line', start: this.currentPoint.clone(), end: new Vector2(x, y) });
+		this.currentPoint.set(x, y);
+		return this;
+
+	}
+
+	/**
+	 * Adds a quadratic Bézier curve from the current point.
+	 * @param {number} cpX the x coordinate of the control point.
+	 * @param {number} cpY the y coordinate of the control point.
+	 * @param {number} x the x coordinate of the end point.
+	 * @param {number} y the y coordinate of the end point.
+	 * @returns {Path} this path.
+	 */
+	quadraticCurveTo(cpX, cpY, x, y) {
+
+		this.segments.push({ type: 'quadratic', start: this.currentPoint.clone(), control: new Vector2(cpX, cpY), end: new Vector2(x, y) });
+		this.currentPoint.set(x, y);
+		return this;
+
+	}
+
+	/**
+	 * Adds a cubic Bézier curve from the current point.
+	 * @param {number} cp1X the x coordinate of the first control point.
+	 * @param {number} cp1Y the y coordinate of the first control point.
+	 * @param {number} cp2X the x coordinate of the second control point.
+	 * @param {number} cp2Y the y coordinate of the second control point.
+	 * @param {number} x the x coordinate of the end point.
+	 * @param {number} y the y coordinate of the end point.
+	 * @returns {Path} this path.
+	 */
+	bezierCurveTo(cp1X, cp1Y, cp2X, cp2Y, x, y) {
+
+		this.segments.push({ type: 'cubic', start: this.currentPoint.clone(), control1: new Vector2(cp1X, cp1Y), control2: new Vector2(cp2X, cp2Y), end: new Vector2(x, y) });
+		this.currentPoint.set(x, y);
+		return this;
+
+	}
+
+	/**
+	 * Adds a circular arc with its center relative to the current point.
+	 * @param {number} dx the x offset of the center from the current point.
+	 * @param {number} dy the y offset of the center from the current point.
+	 * @param {number} radius the radius of the arc.
+	 * @param {number} startAngle the start angle in radians, 0 is the +x axis.
+	 * @param {number} endAngle the end angle in radians.
+	 * @param {boolean} [clockwise=false] true to draw the arc clockwise.
+	 * @returns {Path} this path.
+	 */
+	arc(dx, dy, radius, startAngle, endAngle, clockwise = false) {
+
+		return this.absarc(this.currentPoint.x + dx, this.currentPoint.y + dy, radius, startAngle, endAngle, clockwise);
+
+	}
+
+	/**
+	 * Adds a circular arc with an absolute center. A line connects the current point to the start of the arc if needed.
+	 * @param {number} x the x coordinate of the center.
+	 * @param {number} y the y coordinate of the center.
+	 * @param {number} radius the radius of the arc.
+	 * @param {number} startAngle the start angle in radians, 0 is the +x axis.
+	 * @param {number} endAngle the end angle in radians.
+	 * @param {boolean} [clockwise=false] true to draw the arc clockwise.
+	 * @returns {Path} this path.
+	 */
+	absarc(x, y, radius, startAngle, endAngle, clockwise = false) {
+
+		const start = new Vector2(x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle));
+		if (this.segments.length > 0 && !start.equals(this.currentPoint)) {
+			this.lineTo(start.x, start.y);
+		} else if (this.segments.length === 0) {
+			this.currentPoint.copy(start);
+		}
+
+		// the signed angle of the arc, a full circle if start and end are the same
+		let deltaAngle = endAngle - startAngle;
+		const twoPi = Math.PI * 2;
+		if (Math.abs(deltaAngle) >= twoPi - Number.EPSILON) {
+			deltaAngle = clockwise ? - twoPi : twoPi;
+		} else {
+			deltaAngle = ((deltaAngle % twoPi) + twoPi) % twoPi; // counter clockwise in [0, 2*PI)
+			if (clockwise) deltaAngle = (deltaAngle === 0) ? - twoPi : deltaAngle - twoPi;
+			else if (deltaAngle === 0) deltaAngle = twoPi;
+		}
+
+		const endPoint = new Vector2(x + radius * Math.cos(startAngle + deltaAngle), y + radius * Math.sin(startAngle + deltaAngle));
+		this.segments.push({ type: 'arc', start: start, center: new Vector2(x, y), radius: radius, startAngle: startAngle, deltaAngle: deltaAngle, end: endPoint });
+		this.currentPoint.copy(endPoint);
+		return this;
+
+	}
+
+	/**
+	 * Closes the path with a line to its first point.
+	 * @returns {Path} this path.
+	 */
+	closePath() {
+
+		if (this.segments.length > 0) {
+			const first = this.segments[0].start;
+			if (!first.equals(this.currentPoint)) {
+				this.lineTo(first.x, first.y);
+			}
+		}
+
+		return this;
+
+	}
+
+	/**
+	 * Samples the path into points. Lines only contribute their end points.
+	 * @param {number} [divisions=12] the number of points per curve or arc.
+	 * @returns {Vector2[]} the points along the path.
+	 */
+	getPoints(divisions = 12) {
+
+		const points = [];
+
+		if (this.segments.length === 0) return points;
+
+		points.push(this.segments[0].start.clone());
+
+		for (const segment of this.segments) {
+			const samples = (segment.type === 'line') ? 1 : divisions;
+
+			for (let i = 1; i <= samples; i++) {
+				const point = getSegmentPoint(segment, i / samples);
+				if (!point.equals(points[points.length - 1])) { // skip zero length segments
+					points.push(point);
+				}
+			}
+		}
+
+		return points;
+
+	}
+
+}
+
+export { Path };
+
+// --- Utilities below ---
+
+/**
+ * Returns the point at parameter t of a path segment.
+ * @param {Object} segment the segment.
+ * @param {number} t the parameter in [0, 1].
+ * @returns {Vector2} the point.
+ */
+function getSegmentPoint(segment, t) {
+	const s = 1 - t;
+
+	switch (segment.type) {
+		case 'line':
+			return new Vector2().lerpVectors(segment.start, segment.end, t);
+		case 'quadratic':
+			return new Vector2(
+				s * s * segment.start.x + 2 * s * t * segment.control.x + t * t * segment.end.x,
+				s * s * segment.start.y + 2 * s * t * segment.control.y + t * t * segment.end.y
+			);
+		case 'cubic':
+			return new Vector2(
+				s * s * s * segment.start.x + 3 * s * s * t * segment.control1.x + 3 * s * t * t * segment.control2.x + t * t * t * segment.end.x,
+				s * s * s * segment.start.y + 3 * s * s * t * segment.control1.y + 3 * s * t * t * segment.control2.y + t * t * t * segment.end.y
+			);
+		case 'arc': {
+			if (t === 1) return segment.end.clone(); // avoid rounding errors at the end point
+			const angle = segment.startAngle + t * segment.deltaAngle;
+			return new Vector2(segment.center.x + segment.radius * Math.cos(angle), segment.center.y + segment.radius * Math.sin(angle));
+		}
+		default:
+			throw new Error(`Unknown path segment type ${segment.type}!`);
+	}
+}
@@ -0,0 +1,40 @@
+import { Path } from "./Path.js";
+
+/**
+ * A closed 2D outline with optional holes, e.g. a letter of a logo or the walls of a floor plan.
+ * Used by ShapeGeometry and ExtrudeGeometry.
+ */
+class Shape extends Path {
+
+	/**
+	 * Creates a shape.
+	 * @param {Vector2[]} [points] optional points of the outline.
+	 */
+	constructor(points) {
+
+		super(points);
+
+		this.type = 'Shape';
+		this.isShape = true;
+
+		this.holes = []; // Paths cut out of the shape
+
+	}
+
+	/**
+	 * Returns the sampled outline and holes of the shape.
+	 * @param {number} [divisions=12] the number of points per curve or arc.
+	 * @returns {{shape: Vector2[], holes: Vector2[][]}} the points of the outline and of each hole.
+	 */
+	extractPoints(divisions = 12) {
+
+		return {
+			shape: this.getPoints(divisions),
+			holes: this.holes.map((hole) => hole.getPoints(divisions)),
+		};
+
+	}
+
+}
+
+export { Shape };
@@ -0,0 +1,214 @@
+// Polygon helpers for 2D shapes: orientation and triangulation by ear clipping.
+// Holes are joined to the outline with bridge edges first, so that the ear clipping works on one simple polygon.
+
+/**
+ * Returns the signed area of a contour, positive for counter clockwise contours.
+ * @param {Vector2[]} contour the points of the contour.
+ * @returns {number} the signed area.
+ */
+function area(contour) {
+	const n = contour.length;
+	let a = 0.0;
+
+	for (let p = n - 1, q = 0; q < n; p = q++) {
+		a += contour[p].x * contour[q].y - contour[q].x * contour[p].y;
+	}
+
+	return a * 0.5;
+}
+
+/**
+ * Returns if the points of a contour are in clockwise order.
+ * @param {Vector2[]} pts the points of the contour.
+ * @returns {boolean} true for clockwise contours.
+ */
+function isClockWise(pts) {
+	return area(pts) < 0;
+}
+
+/**
+ * Returns if the last point of a contour repeats its first point (up to rounding errors, e.g. of full arcs).
+ * @param {Vector2[]} pts the points of the contour.
+ * @returns {boolean} true if the contour ends with a closing point.
+ */
+function hasClosingPoint(pts) {
+	const n = pts.length;
+	return n > 1 && pts[0].distanceToSquared(pts[n - 1]) < Number.EPSILON;
+}
+
+/**
+ * Triangulates a contour with holes by ear clipping.
+ * The orientation of the contour and the holes does not matter; the triangles are counter clockwise.
+ * A closing point that repeats the first point of a contour or hole is ignored.
+ * @param {Vector2[]} contour the points of the outline.
+ * @param {Vector2[][]} [holes=[]] the points of each hole.
+ * @returns {number[][]} the triangles as [a, b, c] indices into the points of the contour followed by the points of all holes.
+ */
+function triangulateShape(contour, holes = []) {
+	const points = [];
+	const addContour = (pts, counterClockwise) => {
+		const indices = [];
+		const n = hasClosingPoint(pts) ? pts.length - 1 : pts.length;
+
+		for (let i = 0; i < n; i++) {
+			indices.push(points.length + i);
+		}
+		points.push(...pts.slice(0, n));
+		if (pts.length > n) points.push(pts[n]); // keep the closing point so that indices match the input
+
+		const clockWise = isClockWise(pts.slice(0, n));
+		if (clockWise === counterClockwise) indices.reverse();
+		return indices;
+	};
+
+	let polygon = addContour(contour, true);
+	const holeIndices = holes.map((hole) => addContour(hole, false));
+
+	// bridge the holes into the outline, the rightmost hole first so that bridges do not cross
+	holeIndices
+		.filter((hole) => hole.length >= 3)
+		.sort((a, b) => maxX(b, points) - maxX(a, points))
+		.forEach((hole) => {
+			polygon = bridgeHole(polygon, hole, points);
+		});
+
+	return earClip(polygon, points);
+}
+
+export {
+	area,
+	hasClosingPoint,
+	isClockWise,
+	triangulateShape,
+}
+
+// --- Utilities below ---
+
+function maxX(indices, points) {
+	return Math.max(...indices.map((i) => points[i].x));
+}
+
+function cross(o, a, b) {
+	return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function pointInTriangle(p, a, b, c) {
+	return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+}
+
+/**
+ * Connects a hole (clockwise) to the polygon (counter clockwise) with a bridge edge from the rightmost hole vertex
+ * to a visible polygon vertex (see D. Eberly, "Triangulation by Ear Clipping").
+ * @param {number[]} polygon the point indices of the polygon.
+ * @param {number[]} hole the point indices of the hole.
+ * @param {Vector2[]} points all points.
+ * @returns {number[]} the point indices of the polygon including the hole.
+ */
+function bridgeHole(polygon, hole, points) {
+	// the hole vertex M with the largest x
+	let holeStart = 0;
+	hole.forEach((index, i) => {
+		if (points[index].x > points[hole[holeStart]].x) holeStart = i;
+	});
+	const m = points[hole[holeStart]];
+
+	// cast a ray from M to +x and find the closest polygon edge it hits
+	let closestX = Infinity;
+	let bridge = -1; // index in polygon of the bridge vertex
+	for (let i = 0; i < polygon.length; i++) {
+		const a = points[polygon[i]];
+		const b = points[polygon[(i + 1) % polygon.length]];
+
+		if ((a.y > m.y) === (b.y > m.y) || a.y === b.y) continue;
+
+		const x = a.x + (m.y - a.y) * (b.x - a.x) / (b.y - a.y);
+		if (x >= m.x && x < closestX) {
+			closestX = x;
+			bridge = (a.x > b.x) ? i : (i + 1) % polygon.length; // the edge end point with the larger x
+		}
+	}
+
+	if (bridge === -1) {
+		console.error('triangulateShape: a hole is not inside the shape!');
+		return polygon;
+	}
+
+	// polygon vertices inside the triangle (M, hit point, bridge vertex) would hide the bridge vertex,
+	// use the one with the smallest angle to the ray instead
+	const hit = { x: closestX, y: m.y };
+	const candidate = points[polygon[bridge]];
+	let bestAngle = Infinity;
+	for (let i = 0; i < polygon.length; i++) {
+		const p = points[polygon[i]];
+		if (i === bridge || p.x < m.x) continue;
+
+		const inside = (m.y <= candidate.y) ? pointInTriangle(p, m, hit, candidate) : pointInTriangle(p, m, candidate, hit);
+		if (inside) {
+			const angle = Math.atan2(Math.abs(p.y - m.y), p.x - m.x);
+			if (angle < bestAngle || (angle === bestAngle && p.x < points[polygon[bridge]].x)) {
+				bestAngle = angle;
+				bridge = i;
+			}
+		}
+	}
+
+	const holeLoop = hole.slice(holeStart).concat(hole.slice(0, holeStart));
+	return polygon.slice(0, bridge + 1)
+		.concat(holeLoop, [hole[holeStart], polygon[bridge]])
+		.concat(polygon.slice(bridge + 1));
+}
+
+/**
+ * Triangulates a simple counter clockwise polygon by repeatedly cutting off ears.
+ * @param {number[]} polygon the point indices of the polygon.
+ * @param {Vector2[]} points all points.
+ * @returns {number[][]} the triangles.
+ */
+function earClip(polygon, points) {
+	const triangles = [];
+	const remaining = polygon.slice();
+
+	while (remaining.length > 3) {
+		const n = remaining.length;
+		let clipped = false;
+
+		for (let i = 0; i < n; i++) {
+			const ia = remaining[(i + n - 1) % n], ib = remaining[i], ic = remaining[(i + 1) % n];
+			const a = points[ia], b = points[ib], c = points[ic];
+
+			if (cross(a, b, c) <= 0) continue; // reflex or collinear vertex
+
+			// an ear contains no other vertex, duplicates of the corners created by bridges do not count
+			let isEar = true;
+			for (let j = 0; j < n && isEar; j++) {
+				const p = points[remaining[j]];
+				if (p.equals(a) || p.equals(b) || p.equals(c)) continue;
+				if (pointInTriangle(p, a, b, c)) isEar = false;
+			}
+
+			if (isEar) {
+				triangles.push([ia, ib, ic]);
+				remaining.splice(i, 1);
+				clipped = true;
+				break;
+			}
+		}
+
+		if (clipped) continue;
+
+		// no ear left: remove a collinear (zero area) vertex, or give up on a self-intersecting polygon
+		const collinear = remaining.findIndex((index, i) =>
+			cross(points[remaining[(i + n - 1) % n]], points[index], points[remaining[(i + 1) % n]]) === 0);
+		if (collinear === -1) {
+			console.warn('triangulateShape: the shape is not a simple polygon, the triangulation is incomplete!');
+			return triangles;
+		}
+		remaining.splice(collinear, 1);
+	}
+
+	if (remaining.length === 3 && cross(points[remaining[0]], points[remaining[1]], points[remaining[2]]) > 0) {
+		triangles.push(remaining.slice());
+	}
+
+	return triangles;
+}
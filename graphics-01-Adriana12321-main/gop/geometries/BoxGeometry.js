@@ -0,0 +1,101 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A box centered at the origin. Each of the six sides is a group (materialIndex 0-5 in the order +x, -x, +y, -y, +z, -z).
+ */
+class BoxGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a box geometry.
+	 * @param {number} [width=1] the width along the x axis.
+	 * @param {number} [height=1] the height along the y axis.
+	 * @param {number} [depth=1] the depth along the z axis.
+	 * @param {number} [widthSegments=1] the number of segments along the width.
+	 * @param {number} [heightSegments=1] the number of segments along the height.
+	 * @param {number} [depthSegments=1] the number of segments along the depth.
+	 */
+	constructor(width = 1, height = 1, depth = 1, widthSegments = 1, heightSegments = 1, depthSegments = 1) {
+
+		super();
+
+		this.type = 'BoxGeometry';
+		this.parameters = { width, height, depth, widthSegments, heightSegments, depthSegments };
+
+		widthSegments = Math.max(1, Math.floor(widthSegments));
+		heightSegments = Math.max(1, Math.floor(heightSegments));
+		depthSegments = Math.max(1, Math.floor(depthSegments));
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		let vertexCount = 0;
+		let groupStart = 0;
+
+		// builds one side of the box, u and v are the axes (0 = x, 1 = y, 2 = z) spanning the side, w is its normal axis
+		const buildPlane = (u, v, w, udir, vdir, sideWidth, sideHeight, sideDepth, gridX, gridY, materialIndex) => {
+			const segmentWidth = sideWidth / gridX;
+			const segmentHeight = sideHeight / gridY;
+
+			const depthHalf = sideDepth / 2;
+			const vector = [0, 0, 0];
+			let count = 0;
+
+			for (let iy = 0; iy <= gridY; iy++) {
+				const y = iy * segmentHeight - sideHeight / 2;
+
+				for (let ix = 0; ix <= gridX; ix++) {
+					const x = ix * segmentWidth - sideWidth / 2;
+
+					vector[u] = x * udir;
+					vector[v] = y * vdir;
+					vector[w] = depthHalf;
+					vertices.push(vector[0], vector[1], vector[2]);
+
+					vector[u] = 0;
+					vector[v] = 0;
+					vector[w] = sideDepth > 0 ? 1 : - 1;
+					normals.push(vector[0], vector[1], vector[2]);
+
+					uvs.push(ix / gridX, 1 - (iy / gridY));
+					count++;
+				}
+			}
+
+			for (let iy = 0; iy < gridY; iy++) {
+				for (let ix = 0; ix < gridX; ix++) {
+					const a = vertexCount + ix + (gridX + 1) * iy;
+					const b = vertexCount + ix + (gridX + 1) * (iy + 1);
+					const c = vertexCount + (ix + 1) + (gridX + 1) * (iy + 1);
+					const d = vertexCount + (ix + 1) + (gridX + 1) * iy;
+
+					indices.push(a, b, d);
+					indices.push(b, c, d);
+				}
+			}
+
+			const groupCount = gridX * gridY * 6;
+			this.addGroup(groupStart, groupCount, materialIndex);
+
+			groupStart += groupCount;
+			vertexCount += count;
+		};
+
+		buildPlane(2, 1, 0, - 1, - 1, depth, height, width, depthSegments, heightSegments, 0); // px
+		buildPlane(2, 1, 0, 1, - 1, depth, height, - width, depthSegments, heightSegments, 1); // nx
+		buildPlane(0, 2, 1, 1, 1, width, depth, height, widthSegments, depthSegments, 2); // py
+		buildPlane(0, 2, 1, 1, - 1, width, depth, - height, widthSegments, depthSegments, 3); // ny
+		buildPlane(0, 1, 2, 1, - 1, width, height, depth, widthSegments, heightSegments, 4); // pz
+		buildPlane(0, 1, 2, - 1, - 1, width, height, - depth, widthSegments, heightSegments, 5); // nz
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { BoxGeometry };
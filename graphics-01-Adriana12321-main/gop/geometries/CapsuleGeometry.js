@@ -0,0 +1,91 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A capsule along the y axis, centered at the origin: a cylinder with a hemisphere on each end.
+ */
+class CapsuleGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a capsule geometry.
+	 * @param {number} [radius=1] the radius of the capsule.
+	 * @param {number} [length=1] the length of the cylindrical middle part.
+	 * @param {number} [capSegments=4] the number of segments from the pole to the equator of each hemisphere.
+	 * @param {number} [radialSegments=8] the number of segments around the capsule (min. 3).
+	 * @param {number} [heightSegments=1] the number of segments along the cylindrical middle part.
+	 */
+	constructor(radius = 1, length = 1, capSegments = 4, radialSegments = 8, heightSegments = 1) {
+
+		super();
+
+		this.type = 'CapsuleGeometry';
+		this.parameters = { radius, length, capSegments, radialSegments, heightSegments };
+
+		capSegments = Math.max(1, Math.floor(capSegments));
+		radialSegments = Math.max(3, Math.floor(radialSegments));
+		heightSegments = Math.max(1, Math.floor(heightSegments));
+
+		// the profile of the capsule from the top pole to the bottom pole: distance to the axis, height and the normal in that plane
+		const profile = [];
+		const halfLength = length / 2;
+
+		for (let i = 0; i <= capSegments; i++) { // top hemisphere
+			const angle = i / capSegments * Math.PI / 2;
+			profile.push({ r: radius * Math.sin(angle), y: halfLength + radius * Math.cos(angle), nr: Math.sin(angle), ny: Math.cos(angle) });
+		}
+		for (let i = 1; i < heightSegments; i++) { // inner rings of the middle part
+			profile.push({ r: radius, y: halfLength - i / heightSegments * length, nr: 1, ny: 0 });
+		}
+		for (let i = 0; i <= capSegments; i++) { // bottom hemisphere
+			const angle = Math.PI / 2 + i / capSegments * Math.PI / 2;
+			profile.push({ r: radius * Math.sin(angle), y: - halfLength + radius * Math.cos(angle), nr: Math.sin(angle), ny: Math.cos(angle) });
+		}
+
+		// the v coordinate follows the length of the profile
+		const distances = [0];
+		for (let i = 1; i < profile.length; i++) {
+			distances.push(distances[i - 1] + Math.hypot(profile[i].r - profile[i - 1].r, profile[i].y - profile[i - 1].y));
+		}
+		const totalDistance = distances[distances.length - 1];
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		for (let j = 0; j < profile.length; j++) {
+			const { r, y, nr, ny } = profile[j];
+
+			for (let i = 0; i <= radialSegments; i++) {
+				const u = i / radialSegments;
+				const theta = u * Math.PI * 2;
+				const sinTheta = Math.sin(theta);
+				const cosTheta = Math.cos(theta);
+
+				vertices.push(r * sinTheta, y, r * cosTheta);
+				normals.push(nr * sinTheta, ny, nr * cosTheta);
+				uvs.push(u, 1 - distances[j] / totalDistance);
+			}
+		}
+
+		for (let j = 0; j < profile.length - 1; j++) {
+			for (let i = 0; i < radialSegments; i++) {
+				const a = j * (radialSegments + 1) + i;
+				const b = (j + 1) * (radialSegments + 1) + i;
+				const c = (j + 1) * (radialSegments + 1) + i + 1;
+				const d = j * (radialSegments + 1) + i + 1;
+
+				if (j !== 0) indices.push(a, b, d); // degenerate at the top pole
+				if (j !== profile.length - 2) indices.push(b, c, d); // degenerate at the bottom pole
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { CapsuleGeometry };
@@ -0,0 +1,52 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A flat disc (or circle sector) in the xy plane, centered at the origin and facing +z.
+ */
+class CircleGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a circle geometry.
+	 * @param {number} [radius=1] the radius of the circle.
+	 * @param {number} [segments=32] the number of segments (min. 3).
+	 * @param {number} [thetaStart=0] the start angle, 0 is the +x axis.
+	 * @param {number} [thetaLength=2*PI] the size of the angle.
+	 */
+	constructor(radius = 1, segments = 32, thetaStart = 0, thetaLength = Math.PI * 2) {
+
+		super();
+
+		this.type = 'CircleGeometry';
+		this.parameters = { radius, segments, thetaStart, thetaLength };
+
+		segments = Math.max(3, Math.floor(segments));
+
+		const indices = [];
+		const vertices = [0, 0, 0]; // the center
+		const normals = [0, 0, 1];
+		const uvs = [0.5, 0.5];
+
+		for (let s = 0; s <= segments; s++) {
+			const angle = thetaStart + s / segments * thetaLength;
+			const x = radius * Math.cos(angle);
+			const y = radius * Math.sin(angle);
+
+			vertices.push(x, y, 0);
+			normals.push(0, 0, 1);
+			uvs.push((x / radius + 1) / 2, (y / radius + 1) / 2);
+		}
+
+		for (let i = 1; i <= segments; i++) {
+			indices.push(i, i + 1, 0);
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { CircleGeometry };
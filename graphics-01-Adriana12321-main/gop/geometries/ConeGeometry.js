@@ -0,0 +1,29 @@
+import { CylinderGeometry } from "./CylinderGeometry.js";
+
+/**
+ * A cone along the y axis with its tip at +y, centered at the origin.
+ */
+class ConeGeometry extends CylinderGeometry {
+
+	/**
+	 * Creates a cone geometry.
+	 * @param {number} [radius=1] the radius of the base.
+	 * @param {number} [height=1] the height along the y axis.
+	 * @param {number} [radialSegments=32] the number of segments around the cone.
+	 * @param {number} [heightSegments=1] the number of segments along the height.
+	 * @param {boolean} [openEnded=false] true to leave out the base.
+	 * @param {number} [thetaStart=0] the start angle around the y axis.
+	 * @param {number} [thetaLength=2*PI] the size of the angle around the y axis.
+	 */
+	constructor(radius = 1, height = 1, radialSegments = 32, heightSegments = 1, openEnded = false, thetaStart = 0, thetaLength = Math.PI * 2) {
+
+		super(0, radius, height, radialSegments, heightSegments, openEnded, thetaStart, thetaLength);
+
+		this.type = 'ConeGeometry';
+		this.parameters = { radius, height, radialSegments, heightSegments, openEnded, thetaStart, thetaLength };
+
+	}
+
+}
+
+export { ConeGeometry };
@@ -0,0 +1,139 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A cylinder (or truncated cone) along the y axis, centered at the origin.
+ * The side is group 0, the top cap group 1 and the bottom cap group 2.
+ */
+class CylinderGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a cylinder geometry.
+	 * @param {number} [radiusTop=1] the radius at the top (+y).
+	 * @param {number} [radiusBottom=1] the radius at the bottom (-y).
+	 * @param {number} [height=1] the height along the y axis.
+	 * @param {number} [radialSegments=32] the number of segments around the cylinder.
+	 * @param {number} [heightSegments=1] the number of segments along the height.
+	 * @param {boolean} [openEnded=false] true to leave out the caps.
+	 * @param {number} [thetaStart=0] the start angle around the y axis.
+	 * @param {number} [thetaLength=2*PI] the size of the angle around the y axis.
+	 */
+	constructor(radiusTop = 1, radiusBottom = 1, height = 1, radialSegments = 32, heightSegments = 1, openEnded = false, thetaStart = 0, thetaLength = Math.PI * 2) {
+
+		super();
+
+		this.type = 'CylinderGeometry';
+		this.parameters = { radiusTop, radiusBottom, height, radialSegments, heightSegments, openEnded, thetaStart, thetaLength };
+
+		radialSegments = Math.max(3, Math.floor(radialSegments));
+		heightSegments = Math.max(1, Math.floor(heightSegments));
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		let index = 0;
+		let groupStart = 0;
+		const halfHeight = height / 2;
+
+		// the side
+		const indexArray = [];
+		const slope = (radiusBottom - radiusTop) / height;
+
+		for (let y = 0; y <= heightSegments; y++) {
+			const indexRow = [];
+			const v = y / heightSegments;
+			const radius = v * (radiusBottom - radiusTop) + radiusTop;
+
+			for (let x = 0; x <= radialSegments; x++) {
+				const u = x / radialSegments;
+				const theta = u * thetaLength + thetaStart;
+				const sinTheta = Math.sin(theta);
+				const cosTheta = Math.cos(theta);
+
+				vertices.push(radius * sinTheta, - v * height + halfHeight, radius * cosTheta);
+
+				const length = Math.hypot(sinTheta, slope, cosTheta);
+				normals.push(sinTheta / length, slope / length, cosTheta / length);
+
+				uvs.push(u, 1 - v);
+				indexRow.push(index++);
+			}
+
+			indexArray.push(indexRow);
+		}
+
+		for (let x = 0; x < radialSegments; x++) {
+			for (let y = 0; y < heightSegments; y++) {
+				const a = indexArray[y][x];
+				const b = indexArray[y + 1][x];
+				const c = indexArray[y + 1][x + 1];
+				const d = indexArray[y][x + 1];
+
+				indices.push(a, b, d);
+				indices.push(b, c, d);
+			}
+		}
+
+		this.addGroup(groupStart, radialSegments * heightSegments * 6, 0);
+		groupStart += radialSegments * heightSegments * 6;
+
+		// the caps, a fan around a center vertex per segment (so that each segment has its own uv at the tip)
+		const generateCap = (top) => {
+			const radius = top ? radiusTop : radiusBottom;
+			const sign = top ? 1 : - 1;
+			const centerIndexStart = index;
+
+			if (radius === 0) return; // a cone has no cap at its tip
+
+			for (let x = 1; x <= radialSegments; x++) {
+				vertices.push(0, halfHeight * sign, 0);
+				normals.push(0, sign, 0);
+				uvs.push(0.5, 0.5);
+				index++;
+			}
+
+			const centerIndexEnd = index;
+
+			for (let x = 0; x <= radialSegments; x++) {
+				const u = x / radialSegments;
+				const theta = u * thetaLength + thetaStart;
+				const cosTheta = Math.cos(theta);
+				const sinTheta = Math.sin(theta);
+
+				vertices.push(radius * sinTheta, halfHeight * sign, radius * cosTheta);
+				normals.push(0, sign, 0);
+				uvs.push((cosTheta * 0.5) + 0.5, (sinTheta * 0.5 * sign) + 0.5);
+				index++;
+			}
+
+			for (let x = 0; x < radialSegments; x++) {
+				const c = centerIndexStart + x;
+				const i = centerIndexEnd + x;
+
+				if (top) {
+					indices.push(i, i + 1, c);
+				} else {
+					indices.push(i + 1, i, c);
+				}
+			}
+
+			this.addGroup(groupStart, radialSegments * 3, top ? 1 : 2);
+			groupStart += radialSegments * 3;
+		};
+
+		if (openEnded === false) {
+			generateCap(true);
+			generateCap(false);
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { CylinderGeometry };
@@ -0,0 +1,93 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { getAttributeCount, getAttributeVector3, getVertexIds } from "../core/AttributeUtils.js";
+import { Vector3 } from "../math/Vector3.js";
+
+/**
+ * The feature edges of a geometry as LINES: edges between triangles whose normals differ by more than a threshold angle,
+ * and boundary edges with only one triangle. Used to outline hard edges (e.g. of a box) without the edges of flat or smooth areas.
+ */
+class EdgesGeometry extends BufferGeometry {
+
+	/**
+	 * Creates an edges geometry.
+	 * @param {BufferGeometry} geometry the TRIANGLES geometry to take the edges from.
+	 * @param {number} [thresholdAngle=1] the minimal angle in degrees between the normals of adjacent triangles.
+	 */
+	constructor(geometry, thresholdAngle = 1) {
+
+		super();
+
+		this.type = 'EdgesGeometry';
+		this.parameters = { geometry, thresholdAngle };
+
+		geometry.verifyTriangles('EdgesGeometry');
+
+		const position = geometry.attributes['position'];
+		const indices = geometry.hasIndex ? geometry.index.array : null;
+		const count = (indices !== null) ? indices.length : getAttributeCount(position);
+
+		const thresholdDot = Math.cos(thresholdAngle * Math.PI / 180);
+		const vertexIds = getVertexIds(position);
+		const edges = new Map(); // the first triangle of each edge, until a second triangle is found
+		const vertices = [];
+
+		const triangle = [0, 0, 0];
+		const points = [new Vector3(), new Vector3(), new Vector3()];
+
+		for (let i = 0; i + 2 < count; i += 3) {
+			for (let j = 0; j < 3; j++) {
+				triangle[j] = (indices !== null) ? indices[i + j] : i + j;
+				getAttributeVector3(position, triangle[j], points[j]);
+			}
+
+			_ab.subVectors(points[1], points[0]);
+			_cb.subVectors(points[2], points[0]);
+			_normal.crossVectors(_ab, _cb);
+			if (_normal.lengthSq() === 0) continue; // degenerate triangles have no normal
+			_normal.normalize();
+
+			for (let j = 0; j < 3; j++) {
+				const a = triangle[j];
+				const b = triangle[(j + 1) % 3];
+
+				const idA = vertexIds[a];
+				const idB = vertexIds[b];
+				const key = (idA < idB) ? `${idA}_${idB}` : `${idB}_${idA}`;
+				if (idA === idB) continue;
+
+				const first = edges.get(key);
+				if (first === undefined) {
+					edges.set(key, { a, b, normal: _normal.clone() });
+					continue;
+				}
+
+				if (first.normal.dot(_normal) <= thresholdDot) {
+					pushEdge(vertices, position, a, b);
+				}
+				edges.delete(key);
+			}
+		}
+
+		// the remaining edges belong to only one triangle
+		edges.forEach((edge) => pushEdge(vertices, position, edge.a, edge.b));
+
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setDrawMode('LINES');
+
+	}
+
+}
+
+const _ab = new Vector3();
+const _cb = new Vector3();
+const _normal = new Vector3();
+const _vector = new Vector3();
+
+function pushEdge(vertices, position, a, b) {
+	getAttributeVector3(position, a, _vector);
+	vertices.push(_vector.x, _vector.y, _vector.z);
+	getAttributeVector3(position, b, _vector);
+	vertices.push(_vector.x, _vector.y, _vector.z);
+}
+
+export { EdgesGeometry };
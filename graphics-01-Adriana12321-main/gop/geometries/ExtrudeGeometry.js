@@ -0,0 +1,179 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { Vector2 } from "../math/Vector2.js";
+import { hasClosingPoint, isClockWise, triangulateShape } from "../extras/ShapeUtils.js";
+
+/**
+ * A 2D shape (with holes) extruded along +z, with optional rounded bevels at the front and the back.
+ * The geometry is not indexed and has flat normals. Per shape, the caps are one group (materialIndex 0)
+ * and the side walls another (materialIndex 1).
+ */
+class ExtrudeGeometry extends BufferGeometry {
+
+	/**
+	 * Creates an extrude geometry.
+	 * @param {Shape|Shape[]} shapes the shape or shapes to extrude.
+	 * @param {Object} [options] the extrusion settings:
+	 * - curveSegments: the number of points per curve or arc of the shapes. Default: 12
+	 * - steps: the number of segments along the depth. Default: 1
+	 * - depth: the depth of the extrusion (without bevels). Default: 1
+	 * - bevelEnabled: true to bevel the edges of the caps. Default: true
+	 * - bevelThickness: how far the bevel extends in front of and behind the extrusion. Default: 0.2
+	 * - bevelSize: how far the bevel extends beyond the outline of the shape. Default: bevelThickness - 0.1
+	 * - bevelSegments: the number of bevel layers. Default: 3
+	 */
+	constructor(shapes, options = {}) {
+
+		super();
+
+		this.type = 'ExtrudeGeometry';
+		this.parameters = { shapes, options };
+
+		shapes = Array.isArray(shapes) ? shapes : [shapes];
+
+		const curveSegments = options.curveSegments !== undefined ? options.curveSegments : 12;
+		const steps = Math.max(1, Math.floor(options.steps !== undefined ? options.steps : 1));
+		const depth = options.depth !== undefined ? options.depth : 1;
+		const bevelEnabled = options.bevelEnabled !== undefined ? options.bevelEnabled : true;
+		const bevelThickness = bevelEnabled ? (options.bevelThickness !== undefined ? options.bevelThickness : 0.2) : 0;
+		const bevelSize = bevelEnabled ? (options.bevelSize !== undefined ? options.bevelSize : bevelThickness - 0.1) : 0;
+		const bevelSegments = bevelEnabled ? Math.max(1, Math.floor(options.bevelSegments !== undefined ? options.bevelSegments : 3)) : 0;
+
+		// the layers from front to back: z and how far the outline is moved outwards
+		const layers = [];
+		for (let b = 0; b < bevelSegments; b++) {
+			const t = b / bevelSegments;
+			layers.push({ z: - bevelThickness * Math.cos(t * Math.PI / 2), offset: bevelSize * Math.sin(t * Math.PI / 2) });
+		}
+		for (let s = 0; s <= steps; s++) {
+			layers.push({ z: depth * s / steps, offset: bevelSize });
+		}
+		for (let b = bevelSegments - 1; b >= 0; b--) {
+			const t = b / bevelSegments;
+			layers.push({ z: depth + bevelThickness * Math.cos(t * Math.PI / 2), offset: bevelSize * Math.sin(t * Math.PI / 2) });
+		}
+
+		const vertices = [];
+		const uvs = [];
+		let groupStart = 0;
+
+		for (const shape of shapes) {
+			const extracted = shape.extractPoints(curveSegments);
+
+			// the outline counter clockwise and the holes clockwise, so that the side walls face outwards
+			const contour = withoutClosingPoint(extracted.shape);
+			if (isClockWise(contour)) contour.reverse();
+
+			const holes = extracted.holes.map(withoutClosingPoint);
+			holes.forEach((hole) => {
+				if (!isClockWise(hole)) hole.reverse();
+			});
+
+			const loops = [contour, ...holes];
+			const bevelVectors = loops.map(getBevelVectors);
+			const faces = triangulateShape(contour, holes);
+
+			// the position of a point of a loop in a layer
+			const flatPoints = [].concat(...loops);
+			const flatBevelVectors = [].concat(...bevelVectors);
+			const layerPoint = (layer, i) => [
+				flatPoints[i].x + flatBevelVectors[i].x * layer.offset,
+				flatPoints[i].y + flatBevelVectors[i].y * layer.offset,
+				layer.z
+			];
+
+			// the caps, the front one faces -z
+			const front = layers[0];
+			const back = layers[layers.length - 1];
+			for (const face of faces) {
+				for (const i of [face[0], face[2], face[1]]) {
+					const p = layerPoint(front, i);
+					vertices.push(...p);
+					uvs.push(p[0], p[1]);
+				}
+				for (const i of face) {
+					const p = layerPoint(back, i);
+					vertices.push(...p);
+					uvs.push(p[0], p[1]);
+				}
+			}
+
+			this.addGroup(groupStart, faces.length * 6, 0);
+			groupStart += faces.length * 6;
+
+			// the side walls, quads between consecutive points of each loop and consecutive layers
+			let sideCount = 0;
+			let loopStart = 0;
+			for (const loop of loops) {
+				for (let i = 0; i < loop.length; i++) {
+					const ia = loopStart + i;
+					const ib = loopStart + (i + 1) % loop.length;
+
+					for (let l = 0; l < layers.length - 1; l++) {
+						const a = layerPoint(layers[l], ia);
+						const b = layerPoint(layers[l], ib);
+						const c = layerPoint(layers[l + 1], ib);
+						const d = layerPoint(layers[l + 1], ia);
+
+						vertices.push(...a, ...b, ...c, ...a, ...c, ...d);
+						uvs.push(...sideWallUVs(a, b, c, d));
+						sideCount += 6;
+					}
+				}
+				loopStart += loop.length;
+			}
+
+			this.addGroup(groupStart, sideCount, 1);
+			groupStart += sideCount;
+		}
+
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+		this.computeVertexNormals();
+
+	}
+
+}
+
+export { ExtrudeGeometry };
+
+// --- Utilities below ---
+
+function withoutClosingPoint(points) {
+	return hasClosingPoint(points) ? points.slice(0, points.length - 1) : points.slice();
+}
+
+/**
+ * Returns for each point of a loop the direction in which the bevel moves it: the miter of the normals on the right side
+ * of the adjacent edges, which points away from the solid part of the shape (outwards for counter clockwise outlines and
+ * into the hole for clockwise holes). Its length keeps the moved edges parallel to the original ones.
+ * @param {Vector2[]} loop the points of the loop.
+ * @returns {Vector2[]} the bevel vectors.
+ */
+function getBevelVectors(loop) {
+	const n = loop.length;
+
+	return loop.map((point, i) => {
+		const prev = loop[(i + n - 1) % n];
+		const next = loop[(i + 1) % n];
+
+		const n1 = new Vector2(point.y - prev.y, prev.x - point.x).normalize();
+		const n2 = new Vector2(next.y - point.y, point.x - next.x).normalize();
+
+		const miter = new Vector2().addVectors(n1, n2);
+		if (miter.lengthSq() < 1e-12) return n1; // the outline turns back on itself
+
+		miter.normalize();
+		const cosine = Math.max(miter.dot(n1), 0.5); // limit the miter length for sharp corners
+		return miter.divideScalar(cosine);
+	});
+}
+
+/**
+ * Returns the uvs of a side wall quad: the coordinate along its dominant horizontal direction and its z.
+ */
+function sideWallUVs(a, b, c, d) {
+	const alongX = Math.abs(a[1] - b[1]) < Math.abs(a[0] - b[0]);
+	const uv = (p) => [alongX ? p[0] : p[1], 1 - p[2]];
+
+	return [...uv(a), ...uv(b), ...uv(c), ...uv(a), ...uv(c), ...uv(d)];
+}
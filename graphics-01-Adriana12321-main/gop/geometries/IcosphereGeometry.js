@@ -0,0 +1,124 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A sphere built by subdividing an icosahedron. Its triangles are more even than those of a SphereGeometry.
+ * Vertices on the uv seam and at the poles are duplicated, so that the uvs are continuous within each triangle.
+ */
+class IcosphereGeometry extends BufferGeometry {
+
+	/**
+	 * Creates an icosphere geometry.
+	 * @param {number} [radius=1] the radius of the sphere.
+	 * @param {number} [detail=2] the number of subdivisions, each one splits every triangle into four.
+	 */
+	constructor(radius = 1, detail = 2) {
+
+		super();
+
+		this.type = 'IcosphereGeometry';
+		this.parameters = { radius, detail };
+
+		const t = (1 + Math.sqrt(5)) / 2;
+
+		// the vertices (on the unit sphere) and triangles of the icosahedron
+		const points = [
+			[- 1, t, 0], [1, t, 0], [- 1, - t, 0], [1, - t, 0],
+			[0, - 1, t], [0, 1, t], [0, - 1, - t], [0, 1, - t],
+			[t, 0, - 1], [t, 0, 1], [- t, 0, - 1], [- t, 0, 1]
+		].map(normalize);
+
+		let triangles = [
+			0, 11, 5, 0, 5, 1, 0, 1, 7, 0, 7, 10, 0, 10, 11,
+			1, 5, 9, 5, 11, 4, 11, 10, 2, 10, 7, 6, 7, 1, 8,
+			3, 9, 4, 3, 4, 2, 3, 2, 6, 3, 6, 8, 3, 8, 9,
+			4, 9, 5, 2, 4, 11, 6, 2, 10, 8, 6, 7, 9, 8, 1
+		];
+
+		// subdivide, the midpoints of shared edges are only created once
+		for (let level = 0; level < Math.max(0, Math.floor(detail)); level++) {
+			const midpoints = new Map();
+			const midpoint = (a, b) => {
+				const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+				if (!midpoints.has(key)) {
+					const pa = points[a], pb = points[b];
+					points.push(normalize([pa[0] + pb[0], pa[1] + pb[1], pa[2] + pb[2]]));
+					midpoints.set(key, points.length - 1);
+				}
+				return midpoints.get(key);
+			};
+
+			const subdivided = [];
+			for (let i = 0; i < triangles.length; i += 3) {
+				const a = triangles[i], b = triangles[i + 1], c = triangles[i + 2];
+				const ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+				subdivided.push(a, ab, ca, b, bc, ab, c, ca, bc, ab, bc, ca);
+			}
+			triangles = subdivided;
+		}
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+		const vertexIndices = new Map(); // `${point}_${u}` -> vertex index
+
+		for (let i = 0; i < triangles.length; i += 3) {
+			const corners = [triangles[i], triangles[i + 1], triangles[i + 2]];
+			const us = corners.map((point) => azimuth(points[point]));
+			const isPole = corners.map((point) => Math.abs(points[point][0]) < 1e-6 && Math.abs(points[point][2]) < 1e-6);
+
+			// triangles crossing the seam use u > 1 on the side of u = 0
+			const ends = us.filter((u, k) => !isPole[k]);
+			if (Math.max(...ends) - Math.min(...ends) > 0.5) {
+				for (let k = 0; k < 3; k++) {
+					if (us[k] < 0.5) us[k] += 1;
+				}
+			}
+
+			// the u of a pole is undefined, use the middle of the opposite edge
+			for (let k = 0; k < 3; k++) {
+				if (isPole[k]) {
+					us[k] = (us[(k + 1) % 3] + us[(k + 2) % 3]) / 2;
+				}
+			}
+
+			for (let k = 0; k < 3; k++) {
+				const key = `${corners[k]}_${us[k]}`;
+				if (!vertexIndices.has(key)) {
+					const p = points[corners[k]];
+					vertices.push(p[0] * radius, p[1] * radius, p[2] * radius);
+					normals.push(p[0], p[1], p[2]);
+					uvs.push(us[k], 1 - Math.acos(Math.max(- 1, Math.min(1, p[1]))) / Math.PI);
+					vertexIndices.set(key, vertices.length / 3 - 1);
+				}
+				indices.push(vertexIndices.get(key));
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { IcosphereGeometry };
+
+// --- Utilities below ---
+
+function normalize(p) {
+	const length = Math.hypot(p[0], p[1], p[2]);
+	return [p[0] / length, p[1] / length, p[2] / length];
+}
+
+/**
+ * Returns the u coordinate of a point on the unit sphere, using the same mapping as SphereGeometry.
+ * @param {number[]} p the point.
+ * @returns {number} u in [0, 1).
+ */
+function azimuth(p) {
+	const u = Math.atan2(p[2], - p[0]) / (2 * Math.PI);
+	return u < 0 ? u + 1 : u;
+}
@@ -0,0 +1,86 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { Vector2 } from "../math/Vector2.js";
+
+/**
+ * A surface of revolution: a 2D profile (x = distance to the axis, y = height) rotated around the y axis,
+ * e.g. for vases, bottles or chess pieces.
+ */
+class LatheGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a lathe geometry.
+	 * @param {Vector2[]} [points] the profile, from bottom to top for outward facing normals. The x values must be >= 0.
+	 * @param {number} [segments=12] the number of segments around the axis.
+	 * @param {number} [phiStart=0] the start angle around the y axis.
+	 * @param {number} [phiLength=2*PI] the size of the angle around the y axis.
+	 */
+	constructor(points = [new Vector2(0, - 0.5), new Vector2(0.5, 0), new Vector2(0, 0.5)], segments = 12, phiStart = 0, phiLength = Math.PI * 2) {
+
+		super();
+
+		this.type = 'LatheGeometry';
+		this.parameters = { points, segments, phiStart, phiLength };
+
+		if (points.length < 2) {
+			console.error('LatheGeometry needs at least two points in its profile!');
+			throw new Error('LatheGeometry needs at least two points in its profile!');
+		}
+
+		segments = Math.max(1, Math.floor(segments));
+		phiLength = Math.min(Math.max(phiLength, 0), Math.PI * 2);
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		// the normals of the profile: perpendicular to the adjacent profile edges, averaged at inner points
+		const profileNormals = [];
+		const edgeNormals = [];
+		for (let j = 0; j < points.length - 1; j++) {
+			const dx = points[j + 1].x - points[j].x;
+			const dy = points[j + 1].y - points[j].y;
+			edgeNormals.push(new Vector2(dy, - dx).normalize());
+		}
+		for (let j = 0; j < points.length; j++) {
+			const before = edgeNormals[Math.max(j - 1, 0)];
+			const after = edgeNormals[Math.min(j, edgeNormals.length - 1)];
+			profileNormals.push(new Vector2().addVectors(before, after).normalize());
+		}
+
+		for (let i = 0; i <= segments; i++) {
+			const phi = phiStart + i / segments * phiLength;
+			const sin = Math.sin(phi);
+			const cos = Math.cos(phi);
+
+			for (let j = 0; j < points.length; j++) {
+				vertices.push(points[j].x * sin, points[j].y, points[j].x * cos);
+				normals.push(profileNormals[j].x * sin, profileNormals[j].y, profileNormals[j].x * cos);
+				uvs.push(i / segments, j / (points.length - 1));
+			}
+		}
+
+		for (let i = 0; i < segments; i++) {
+			for (let j = 0; j < points.length - 1; j++) {
+				const base = j + i * points.length;
+
+				const a = base;
+				const b = base + points.length;
+				const c = base + points.length + 1;
+				const d = base + 1;
+
+				indices.push(a, b, d);
+				indices.push(c, d, b);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { LatheGeometry };
@@ -0,0 +1,66 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A rectangle in the xy plane, centered at the origin and facing +z.
+ */
+class PlaneGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a plane geometry.
+	 * @param {number} [width=1] the width along the x axis.
+	 * @param {number} [height=1] the height along the y axis.
+	 * @param {number} [widthSegments=1] the number of segments along the width.
+	 * @param {number} [heightSegments=1] the number of segments along the height.
+	 */
+	constructor(width = 1, height = 1, widthSegments = 1, heightSegments = 1) {
+
+		super();
+
+		this.type = 'PlaneGeometry';
+		this.parameters = { width, height, widthSegments, heightSegments };
+
+		const gridX = Math.max(1, Math.floor(widthSegments));
+		const gridY = Math.max(1, Math.floor(heightSegments));
+
+		const segmentWidth = width / gridX;
+		const segmentHeight = height / gridY;
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		for (let iy = 0; iy <= gridY; iy++) {
+			const y = iy * segmentHeight - height / 2;
+
+			for (let ix = 0; ix <= gridX; ix++) {
+				const x = ix * segmentWidth - width / 2;
+
+				vertices.push(x, - y, 0);
+				normals.push(0, 0, 1);
+				uvs.push(ix / gridX, 1 - (iy / gridY));
+			}
+		}
+
+		for (let iy = 0; iy < gridY; iy++) {
+			for (let ix = 0; ix < gridX; ix++) {
+				const a = ix + (gridX + 1) * iy;
+				const b = ix + (gridX + 1) * (iy + 1);
+				const c = (ix + 1) + (gridX + 1) * (iy + 1);
+				const d = (ix + 1) + (gridX + 1) * iy;
+
+				indices.push(a, b, d);
+				indices.push(b, c, d);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { PlaneGeometry };
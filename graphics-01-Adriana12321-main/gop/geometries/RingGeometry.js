@@ -0,0 +1,71 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A flat ring (annulus) in the xy plane, centered at the origin and facing +z.
+ */
+class RingGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a ring geometry.
+	 * @param {number} [innerRadius=0.5] the radius of the hole.
+	 * @param {number} [outerRadius=1] the outer radius.
+	 * @param {number} [thetaSegments=32] the number of segments around the ring (min. 3).
+	 * @param {number} [phiSegments=1] the number of segments between the inner and outer radius.
+	 * @param {number} [thetaStart=0] the start angle, 0 is the +x axis.
+	 * @param {number} [thetaLength=2*PI] the size of the angle.
+	 */
+	constructor(innerRadius = 0.5, outerRadius = 1, thetaSegments = 32, phiSegments = 1, thetaStart = 0, thetaLength = Math.PI * 2) {
+
+		super();
+
+		this.type = 'RingGeometry';
+		this.parameters = { innerRadius, outerRadius, thetaSegments, phiSegments, thetaStart, thetaLength };
+
+		thetaSegments = Math.max(3, Math.floor(thetaSegments));
+		phiSegments = Math.max(1, Math.floor(phiSegments));
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		const radiusStep = (outerRadius - innerRadius) / phiSegments;
+
+		for (let j = 0; j <= phiSegments; j++) {
+			const radius = innerRadius + j * radiusStep;
+
+			for (let i = 0; i <= thetaSegments; i++) {
+				const angle = thetaStart + i / thetaSegments * thetaLength;
+				const x = radius * Math.cos(angle);
+				const y = radius * Math.sin(angle);
+
+				vertices.push(x, y, 0);
+				normals.push(0, 0, 1);
+				uvs.push((x / outerRadius + 1) / 2, (y / outerRadius + 1) / 2);
+			}
+		}
+
+		for (let j = 0; j < phiSegments; j++) {
+			const thetaSegmentLevel = j * (thetaSegments + 1);
+
+			for (let i = 0; i < thetaSegments; i++) {
+				const a = i + thetaSegmentLevel;
+				const b = a + thetaSegments + 1;
+				const c = a + thetaSegments + 2;
+				const d = a + 1;
+
+				indices.push(a, b, d);
+				indices.push(b, c, d);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { RingGeometry };
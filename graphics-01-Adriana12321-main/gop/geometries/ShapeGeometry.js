@@ -0,0 +1,59 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { triangulateShape } from "../extras/ShapeUtils.js";
+
+/**
+ * A flat, triangulated 2D shape (with holes) in the xy plane, facing +z. Each shape is a group (materialIndex = its index).
+ */
+class ShapeGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a shape geometry.
+	 * @param {Shape|Shape[]} shapes the shape or shapes to triangulate.
+	 * @param {number} [curveSegments=12] the number of points per curve or arc of the shapes.
+	 */
+	constructor(shapes, curveSegments = 12) {
+
+		super();
+
+		this.type = 'ShapeGeometry';
+		this.parameters = { shapes, curveSegments };
+
+		shapes = Array.isArray(shapes) ? shapes : [shapes];
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		let groupStart = 0;
+
+		shapes.forEach((shape, materialIndex) => {
+			const { shape: contour, holes } = shape.extractPoints(curveSegments);
+			const points = contour.concat(...holes);
+			const indexOffset = vertices.length / 3;
+
+			points.forEach((point) => {
+				vertices.push(point.x, point.y, 0);
+				normals.push(0, 0, 1);
+				uvs.push(point.x, point.y); // the shape coordinates, scale them with a texture transform
+			});
+
+			const faces = triangulateShape(contour, holes);
+			faces.forEach((face) => {
+				indices.push(face[0] + indexOffset, face[1] + indexOffset, face[2] + indexOffset);
+			});
+
+			this.addGroup(groupStart, faces.length * 3, materialIndex);
+			groupStart += faces.length * 3;
+		});
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { ShapeGeometry };
@@ -0,0 +1,88 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A UV sphere centered at the origin, built from rings of latitude (phi is the longitude, theta the polar angle).
+ */
+class SphereGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a sphere geometry.
+	 * @param {number} [radius=1] the radius of the sphere.
+	 * @param {number} [widthSegments=32] the number of segments around the sphere (min. 3).
+	 * @param {number} [heightSegments=16] the number of segments from pole to pole (min. 2).
+	 * @param {number} [phiStart=0] the start angle around the y axis.
+	 * @param {number} [phiLength=2*PI] the size of the angle around the y axis.
+	 * @param {number} [thetaStart=0] the start angle from the +y pole.
+	 * @param {number} [thetaLength=PI] the size of the angle from the pole.
+	 */
+	constructor(radius = 1, widthSegments = 32, heightSegments = 16, phiStart = 0, phiLength = Math.PI * 2, thetaStart = 0, thetaLength = Math.PI) {
+
+		super();
+
+		this.type = 'SphereGeometry';
+		this.parameters = { radius, widthSegments, heightSegments, phiStart, phiLength, thetaStart, thetaLength };
+
+		widthSegments = Math.max(3, Math.floor(widthSegments));
+		heightSegments = Math.max(2, Math.floor(heightSegments));
+
+		const thetaEnd = Math.min(thetaStart + thetaLength, Math.PI);
+
+		const grid = [];
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		let index = 0;
+
+		for (let iy = 0; iy <= heightSegments; iy++) {
+			const row = [];
+			const v = iy / heightSegments;
+
+			// special case for the poles: shift the u coordinate to the middle of the segment
+			let uOffset = 0;
+			if (iy === 0 && thetaStart === 0) {
+				uOffset = 0.5 / widthSegments;
+			} else if (iy === heightSegments && thetaEnd === Math.PI) {
+				uOffset = - 0.5 / widthSegments;
+			}
+
+			for (let ix = 0; ix <= widthSegments; ix++) {
+				const u = ix / widthSegments;
+
+				const x = - Math.cos(phiStart + u * phiLength) * Math.sin(thetaStart + v * thetaLength);
+				const y = Math.cos(thetaStart + v * thetaLength);
+				const z = Math.sin(phiStart + u * phiLength) * Math.sin(thetaStart + v * thetaLength);
+
+				vertices.push(radius * x, radius * y, radius * z);
+				normals.push(x, y, z);
+				uvs.push(u + uOffset, 1 - v);
+
+				row.push(index++);
+			}
+
+			grid.push(row);
+		}
+
+		for (let iy = 0; iy < heightSegments; iy++) {
+			for (let ix = 0; ix < widthSegments; ix++) {
+				const a = grid[iy][ix + 1];
+				const b = grid[iy][ix];
+				const c = grid[iy + 1][ix];
+				const d = grid[iy + 1][ix + 1];
+
+				if (iy !== 0 || thetaStart > 0) indices.push(a, b, d);
+				if (iy !== heightSegments - 1 || thetaEnd < Math.PI) indices.push(b, c, d);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { SphereGeometry };
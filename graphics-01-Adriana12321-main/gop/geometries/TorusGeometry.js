@@ -0,0 +1,72 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+
+/**
+ * A torus (ring doughnut) around the z axis, centered at the origin.
+ */
+class TorusGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a torus geometry.
+	 * @param {number} [radius=1] the distance of the center of the tube to the center of the torus.
+	 * @param {number} [tube=0.4] the radius of the tube.
+	 * @param {number} [radialSegments=12] the number of segments around the tube (min. 3).
+	 * @param {number} [tubularSegments=48] the number of segments along the tube (min. 3).
+	 * @param {number} [arc=2*PI] the central angle, less than 2*PI for an open torus.
+	 */
+	constructor(radius = 1, tube = 0.4, radialSegments = 12, tubularSegments = 48, arc = Math.PI * 2) {
+
+		super();
+
+		this.type = 'TorusGeometry';
+		this.parameters = { radius, tube, radialSegments, tubularSegments, arc };
+
+		radialSegments = Math.max(3, Math.floor(radialSegments));
+		tubularSegments = Math.max(3, Math.floor(tubularSegments));
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		for (let j = 0; j <= radialSegments; j++) {
+			for (let i = 0; i <= tubularSegments; i++) {
+				const u = i / tubularSegments * arc;
+				const v = j / radialSegments * Math.PI * 2;
+
+				const x = (radius + tube * Math.cos(v)) * Math.cos(u);
+				const y = (radius + tube * Math.cos(v)) * Math.sin(u);
+				const z = tube * Math.sin(v);
+				vertices.push(x, y, z);
+
+				// the normal points from the center of the tube to the vertex
+				const cx = radius * Math.cos(u);
+				const cy = radius * Math.sin(u);
+				const length = Math.hypot(x - cx, y - cy, z);
+				normals.push((x - cx) / length, (y - cy) / length, z / length);
+
+				uvs.push(i / tubularSegments, j / radialSegments);
+			}
+		}
+
+		for (let j = 1; j <= radialSegments; j++) {
+			for (let i = 1; i <= tubularSegments; i++) {
+				const a = (tubularSegments + 1) * j + i - 1;
+				const b = (tubularSegments + 1) * (j - 1) + i - 1;
+				const c = (tubularSegments + 1) * (j - 1) + i;
+				const d = (tubularSegments + 1) * j + i;
+
+				indices.push(a, b, d);
+				indices.push(b, c, d);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { TorusGeometry };
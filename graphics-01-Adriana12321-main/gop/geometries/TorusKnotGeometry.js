@@ -0,0 +1,111 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { Vector3 } from "../math/Vector3.js";
+
+/**
+ * A tube that follows a (p, q) torus knot: the curve winds p times around the axis of the torus
+ * and q times around the interior of the torus.
+ */
+class TorusKnotGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a torus knot geometry.
+	 * @param {number} [radius=1] the radius of the torus.
+	 * @param {number} [tube=0.4] the radius of the tube.
+	 * @param {number} [tubularSegments=64] the number of segments along the tube (min. 3).
+	 * @param {number} [radialSegments=8] the number of segments around the tube (min. 3).
+	 * @param {number} [p=2] how many times the curve winds around the axis of rotational symmetry.
+	 * @param {number} [q=3] how many times the curve winds around a circle in the interior of the torus.
+	 */
+	constructor(radius = 1, tube = 0.4, tubularSegments = 64, radialSegments = 8, p = 2, q = 3) {
+
+		super();
+
+		this.type = 'TorusKnotGeometry';
+		this.parameters = { radius, tube, tubularSegments, radialSegments, p, q };
+
+		tubularSegments = Math.max(3, Math.floor(tubularSegments));
+		radialSegments = Math.max(3, Math.floor(radialSegments));
+
+		const indices = [];
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+
+		const vertex = new Vector3();
+		const normal = new Vector3();
+
+		const P1 = new Vector3();
+		const P2 = new Vector3();
+
+		const B = new Vector3();
+		const T = new Vector3();
+		const N = new Vector3();
+
+		for (let i = 0; i <= tubularSegments; ++i) {
+			const u = i / tubularSegments * p * Math.PI * 2;
+
+			// a point on the curve and a point slightly ahead, to build a frame (T, N, B) along the curve
+			calculatePositionOnCurve(u, p, q, radius, P1);
+			calculatePositionOnCurve(u + 0.01, p, q, radius, P2);
+
+			T.subVectors(P2, P1);
+			N.addVectors(P2, P1);
+			B.crossVectors(T, N);
+			N.crossVectors(B, T);
+
+			B.normalize();
+			N.normalize();
+
+			for (let j = 0; j <= radialSegments; ++j) {
+				// the vertex lies on a circle around the curve point in the plane spanned by N and B
+				const v = j / radialSegments * Math.PI * 2;
+				const cx = - tube * Math.cos(v);
+				const cy = tube * Math.sin(v);
+
+				vertex.x = P1.x + (cx * N.x + cy * B.x);
+				vertex.y = P1.y + (cx * N.y + cy * B.y);
+				vertex.z = P1.z + (cx * N.z + cy * B.z);
+				vertices.push(vertex.x, vertex.y, vertex.z);
+
+				normal.subVectors(vertex, P1).normalize();
+				normals.push(normal.x, normal.y, normal.z);
+
+				uvs.push(i / tubularSegments, j / radialSegments);
+			}
+		}
+
+		for (let j = 1; j <= tubularSegments; j++) {
+			for (let i = 1; i <= radialSegments; i++) {
+				const a = (radialSegments + 1) * (j - 1) + (i - 1);
+				const b = (radialSegments + 1) * j + (i - 1);
+				const c = (radialSegments + 1) * j + i;
+				const d = (radialSegments + 1) * (j - 1) + i;
+
+				indices.push(a, b, d);
+				indices.push(b, c, d);
+			}
+		}
+
+		this.setIndex(indices);
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setAttribute('normal', { 'array': new Float32Array(normals), 'itemSize': 3 });
+		this.setAttribute('uv', { 'array': new Float32Array(uvs), 'itemSize': 2 });
+
+	}
+
+}
+
+export { TorusKnotGeometry };
+
+// --- Utilities below ---
+
+function calculatePositionOnCurve(u, p, q, radius, position) {
+	const cu = Math.cos(u);
+	const su = Math.sin(u);
+	const quOverP = q / p * u;
+	const cs = Math.cos(quOverP);
+
+	position.x = radius * (2 + cs) * 0.5 * cu;
+	position.y = radius * (2 + cs) * su * 0.5;
+	position.z = radius * Math.sin(quOverP) * 0.5;
+}
@@ -0,0 +1,59 @@
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import { getAttributeCount, getAttributeVector3, getVertexIds } from "../core/AttributeUtils.js";
+import { Vector3 } from "../math/Vector3.js";
+
+/**
+ * The edges of all triangles of a geometry as LINES, e.g. to overlay a wireframe on a shaded mesh.
+ * Edges shared by several triangles are only added once, also if the triangles do not share the vertices (e.g. at uv seams).
+ */
+class WireframeGeometry extends BufferGeometry {
+
+	/**
+	 * Creates a wireframe geometry.
+	 * @param {BufferGeometry} geometry the TRIANGLES geometry to take the edges from.
+	 */
+	constructor(geometry) {
+
+		super();
+
+		this.type = 'WireframeGeometry';
+		this.parameters = { geometry };
+
+		geometry.verifyTriangles('WireframeGeometry');
+
+		const position = geometry.attributes['position'];
+		const indices = geometry.hasIndex ? geometry.index.array : null;
+		const count = (indices !== null) ? indices.length : getAttributeCount(position);
+
+		const vertexIds = getVertexIds(position);
+		const edges = new Set();
+		const vertices = [];
+
+		for (let i = 0; i + 2 < count; i += 3) {
+			for (let j = 0; j < 3; j++) {
+				const a = (indices !== null) ? indices[i + j] : i + j;
+				const b = (indices !== null) ? indices[i + (j + 1) % 3] : i + (j + 1) % 3;
+
+				const idA = vertexIds[a];
+				const idB = vertexIds[b];
+				const key = (idA < idB) ? `${idA}_${idB}` : `${idB}_${idA}`;
+				if (idA === idB || edges.has(key)) continue;
+
+				edges.add(key);
+				getAttributeVector3(position, a, _vector);
+				vertices.push(_vector.x, _vector.y, _vector.z);
+				getAttributeVector3(position, b, _vector);
+				vertices.push(_vector.x, _vector.y, _vector.z);
+			}
+		}
+
+		this.setAttribute('position', { 'array': new Float32Array(vertices), 'itemSize': 3 });
+		this.setDrawMode('LINES');
+
+	}
+
+}
+
+const _vector = new Vector3();
+
+export { WireframeGeometry };
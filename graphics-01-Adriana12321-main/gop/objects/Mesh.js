@@ -0,0 +1,67 @@
+/**
+ * A geometry drawn with a WebGLProgram. The mesh holds the per-object state of the drawing, like the influences
+ * of the morph targets, so several meshes can share one geometry and animate it differently.
+ */
+class Mesh {
+
+	/**
+	 * Creates a mesh.
+	 * @param {BufferGeometry} geometry the geometry to draw.
+	 * @param {WebGLProgram} program the program to draw the geometry with.
+	 */
+	constructor(geometry, program) {
+
+		this.name = '';
+		this.type = 'Mesh';
+		this.isMesh = true;
+
+		this.geometry = geometry;
+		this.program = program;
+
+		this.morphTargetInfluences = []; // the weight of each morph target of the geometry, usually in [0, 1]
+
+		this.updateMorphTargets();
+
+	}
+
+	/**
+	 * Resizes morphTargetInfluences to the number of morph targets of the geometry. New influences are 0.
+	 * Call this after morph targets were added to or removed from the geometry.
+	 */
+	updateMorphTargets() {
+
+		let count = 0;
+		for (var key in this.geometry.morphAttributes) {
+			count = Math.max(count, this.geometry.morphAttributes[key].length);
+		}
+
+		while (this.morphTargetInfluences.length < count) this.morphTargetInfluences.push(0);
+		this.morphTargetInfluences.length = count;
+
+	}
+
+	/**
+	 * Uses the program, sets the morph target influences for the number of targets the program blends, and draws the geometry.
+	 * Other uniforms (e.g. modelMatrix) are set on the program before.
+	 * @param {WebGLContext} [_gl=null] the WebGL context. Must be valid on the first call because the geometry is initialized at the first call.
+	 */
+	draw(_gl = null) {
+
+		this.program.use();
+
+		const morphTargets = this.program.morphTargets || 0;
+		if (morphTargets > 0) {
+			const influences = new Float32Array(morphTargets); // targets without an influence are not blended
+			for (let i = 0; i < Math.min(morphTargets, this.morphTargetInfluences.length); i++) {
+				influences[i] = this.morphTargetInfluences[i];
+			}
+			this.program.setUniform('morphTargetInfluences', influences);
+		}
+
+		this.geometry.draw(_gl);
+
+	}
+
+}
+
+export { Mesh };
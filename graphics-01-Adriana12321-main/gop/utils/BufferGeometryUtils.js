@@ -0,0 +1,450 @@
+// Helpers to batch and optimize geometries on the CPU, before they are initialized:
+// merging many geometries into one draw call, welding duplicate vertices into an index and
+// reordering the triangles of an index for the post-transform vertex cache of the GPU.
+// De-indexing is done with BufferGeometry.toNonIndexed.
+
+import { BufferGeometry } from "../core/BufferGeometry.js";
+import {
+	getAttributeCount,
+	createAttributeLike,
+	copyAttributeElement,
+	copyAttribute,
+	isPerInstance,
+	getVertexHash,
+} from "../core/AttributeUtils.js";
+
+/**
+ * Merges geometries into one geometry, e.g. to draw static parts of a scene with a single draw call.
+ * All geometries need the same attributes and morph targets (with the same item size, array type and flags) and draw mode,
+ * and either all or none of them need an index. The draw ranges are ignored, the whole geometries are merged.
+ * @param {BufferGeometry[]} geometries the geometries to merge.
+ * @param {boolean} [useGroups=false] true to add a group per geometry (materialIndex = its index in the list),
+ * false to keep the groups of the geometries.
+ * @returns {BufferGeometry} the merged geometry.
+ */
+function mergeGeometries(geometries, useGroups = false) {
+
+	if (geometries.length === 0) {
+		console.error('mergeGeometries needs at least one geometry!');
+		throw new Error('mergeGeometries needs at least one geometry!');
+	}
+
+	const first = geometries[0];
+	const isIndexed = first.index !== null;
+	const names = Object.keys(first.attributes);
+	const morphNames = Object.keys(first.morphAttributes);
+
+	let vertexCount = 0;
+	const vertexCounts = geometries.map((geometry, i) => {
+		verifyCompatible(first, geometry, i, isIndexed, names, morphNames);
+
+		const count = getVertexCount(geometry, i);
+		vertexCount += count;
+		return count;
+	});
+
+	const merged = new BufferGeometry();
+	merged.drawMode = first.drawMode;
+
+	for (const name of names) {
+		const sources = geometries.map((geometry) => geometry.attributes[name]);
+		merged.setAttribute(name, mergeAttributes(sources, vertexCounts, vertexCount));
+	}
+
+	for (const name of morphNames) {
+		merged.morphAttributes[name] = first.morphAttributes[name].map((target, t) => {
+			const sources = geometries.map((geometry) => geometry.morphAttributes[name][t]);
+			return mergeAttributes(sources, vertexCounts, vertexCount);
+		});
+	}
+
+	if (isIndexed) {
+		const indices = [];
+		let vertexOffset = 0;
+
+		geometries.forEach((geometry, i) => {
+			for (const index of geometry.index.array) {
+				indices.push(index + vertexOffset);
+			}
+			vertexOffset += vertexCounts[i];
+		});
+
+		merged.setIndex(indices); // stored as Uint16Array or Uint32Array, depending on the number of vertices
+	}
+
+	// the groups refer to the index, or to the vertices of non-indexed geometries
+	let groupOffset = 0;
+	geometries.forEach((geometry, i) => {
+		const count = isIndexed ? geometry.index.array.length : vertexCounts[i];
+
+		if (useGroups) {
+			merged.addGroup(groupOffset, count, i);
+		} else {
+			geometry.groups.forEach((group) => {
+				merged.addGroup(groupOffset + group.start, Math.min(group.count, count - group.start), group.materialIndex);
+			});
+		}
+		groupOffset += count;
+	});
+
+	return merged;
+}
+
+/**
+ * Welds vertices with equal attribute values into one vertex and returns an indexed geometry. Two vertices are equal
+ * if all of their attribute values (not only the positions) and morph target deltas are equal after rounding to the
+ * tolerance, so vertices on uv seams or hard edges and vertices that animate differently stay separate.
+ * @param {BufferGeometry} geometry the geometry, indexed or not.
+ * @param {number} [tolerance=1e-4] the precision to compare the attribute values with.
+ * @returns {BufferGeometry} the indexed geometry with the unique vertices.
+ */
+function mergeVertices(geometry, tolerance = 1e-4) {
+
+	if (!(tolerance > 0)) {
+		console.error(`Tolerance ${tolerance} used in mergeVertices must be positive!`);
+		throw new Error(`Tolerance ${tolerance} used in mergeVertices must be positive!`);
+	}
+
+	const names = Object.keys(geometry.attributes);
+	names.forEach((name) => verifyPerVertex(geometry, name));
+
+	// the attributes and morph targets that have to be equal for two vertices to be welded
+	const attributes = names.map((name) => geometry.attributes[name]);
+	for (const name in geometry.morphAttributes) {
+		attributes.push(...geometry.morphAttributes[name]);
+	}
+
+	const vertexCount = getVertexCount(geometry, 0);
+	const indices = (geometry.index !== null) ? geometry.index.array : null;
+	const indexCount = (indices !== null) ? indices.length : vertexCount;
+
+	const hashToVertex = new Map();
+	const oldToNew = new Int32Array(vertexCount).fill(- 1);
+	const uniqueVertices = []; // the old index of each new vertex
+	const newIndices = [];
+
+	for (let i = 0; i < indexCount; i++) {
+		const vertex = (indices !== null) ? indices[i] : i;
+
+		if (oldToNew[vertex] === - 1) {
+			const hash = getVertexHash(attributes, vertex, tolerance);
+			let newVertex = hashToVertex.get(hash);
+
+			if (newVertex === undefined) {
+				newVertex = uniqueVertices.length;
+				uniqueVertices.push(vertex);
+				hashToVertex.set(hash, newVertex);
+			}
+			oldToNew[vertex] = newVertex;
+		}
+
+		newIndices[i] = oldToNew[vertex];
+	}
+
+	const result = new BufferGeometry();
+	result.name = geometry.name;
+	result.drawMode = geometry.drawMode;
+	result.setDrawRange(geometry.drawRange.start, geometry.drawRange.count);
+	geometry.groups.forEach((group) => {
+		result.addGroup(group.start, group.count, group.materialIndex);
+	});
+
+	for (const name of names) {
+		result.setAttribute(name, copyAttribute(geometry.attributes[name], uniqueVertices));
+	}
+	for (const name in geometry.morphAttributes) {
+		result.morphAttributes[name] = geometry.morphAttributes[name].map((target) => copyAttribute(target, uniqueVertices));
+	}
+
+	result.setIndex(newIndices);
+
+	return result;
+}
+
+/**
+ * Reorders the triangles of an indexed TRIANGLES geometry so that consecutive triangles share vertices, which lets the GPU
+ * reuse more transformed vertices from its post-transform cache (T. Forsyth, "Linear-Speed Vertex Cache Optimisation").
+ * The triangles are only reordered within each group (or within the whole index if there are no groups), their winding
+ * is kept. If the geometry has been initialized, the new index is uploaded with the next draw.
+ * @param {BufferGeometry} geometry the geometry to optimize in place.
+ * @param {number} [cacheSize=32] the number of vertices of the simulated cache.
+ * @returns {BufferGeometry} the geometry.
+ */
+function optimizeVertexCache(geometry, cacheSize = 32) {
+
+	if (geometry.index === null || geometry.drawMode !== 'TRIANGLES') {
+		console.error(`optimizeVertexCache: ${geometry.type} ${geometry.name} must be indexed and drawn as TRIANGLES!`);
+		throw new Error(`optimizeVertexCache: ${geometry.type} ${geometry.name} must be indexed and drawn as TRIANGLES!`);
+	}
+
+	const indices = geometry.index.array;
+	const vertexCount = getVertexCount(geometry, 0);
+
+	const ranges = (geometry.groups.length > 0)
+		? geometry.groups.map((group) => [group.start, Math.min(group.start + group.count, indices.length)])
+		: [[0, indices.length]];
+
+	// ranges of several groups may overlap (e.g. a wireframe over the whole mesh), only reorder them once
+	ranges.sort((a, b) => a[0] - b[0]);
+	let end = 0;
+	for (const [start, stop] of ranges) {
+		if (start < end) continue;
+		const count = Math.floor((stop - start) / 3) * 3;
+		indices.set(optimizeTriangleOrder(indices.subarray(start, start + count), vertexCount, Math.max(cacheSize, 4)), start);
+		end = start + count;
+	}
+
+	geometry.index.needsUpdate = true;
+
+	return geometry;
+}
+
+export {
+	mergeGeometries,
+	mergeVertices,
+	optimizeVertexCache,
+}
+
+// --- Utilities below ---
+
+/**
+ * Returns the number of vertices of a geometry and checks that all attributes and morph targets have the same count, as init does.
+ * @param {BufferGeometry} geometry the geometry.
+ * @param {number} i the position of the geometry in the list for error messages.
+ * @returns {number} the number of vertices.
+ */
+function getVertexCount(geometry, i) {
+	let vertexCount = -1;
+
+	for (const name in geometry.attributes) {
+		verifyPerVertex(geometry, name);
+
+		const count = getAttributeCount(geometry.attributes[name]);
+		if (vertexCount === -1) vertexCount = count;
+
+		if (count !== vertexCount) {
+			console.error(`attribute ${name} of geometry ${i} has different count ${count} than other attributes ${vertexCount}`);
+			throw new Error(`attribute ${name} of geometry ${i} has different count ${count} than other attributes ${vertexCount}`);
+		}
+	}
+
+	for (const name in geometry.morphAttributes) {
+		geometry.morphAttributes[name].forEach((target, t) => {
+			const count = getAttributeCount(target);
+			if (count !== vertexCount) {
+				console.error(`morph target ${t} for ${name} of geometry ${i} has different count ${count} than the attributes ${vertexCount}`);
+				throw new Error(`morph target ${t} for ${name} of geometry ${i} has different count ${count} than the attributes ${vertexCount}`);
+			}
+		});
+	}
+
+	return Math.max(vertexCount, 0);
+}
+
+function verifyPerVertex(geometry, name) {
+	const attribute = geometry.attributes[name];
+
+	if (isPerInstance(attribute)) {
+		console.error(`Per-instance attribute ${name} of ${geometry.type} ${geometry.name} can not be merged!`);
+		throw new Error(`Per-instance attribute ${name} of ${geometry.type} ${geometry.name} can not be merged!`);
+	}
+}
+
+/**
+ * Concatenates the attributes of the merged geometries (or one morph target of each) into a new attribute.
+ * @param {Object[]} sources the attribute of each geometry.
+ * @param {number[]} vertexCounts the number of vertices of each geometry.
+ * @param {number} vertexCount the number of vertices of the merged geometry.
+ * @returns {Object} the merged attribute.
+ */
+function mergeAttributes(sources, vertexCounts, vertexCount) {
+	const attribute = createAttributeLike(sources[0], vertexCount);
+	let offset = 0;
+
+	sources.forEach((source, i) => {
+		for (let v = 0; v < vertexCounts[i]; v++) {
+			copyAttributeElement(source, v, attribute, offset + v);
+		}
+		offset += vertexCounts[i];
+	});
+
+	return attribute;
+}
+
+/**
+ * Checks that a geometry can be merged with the first geometry of the list.
+ */
+function verifyCompatible(first, geometry, i, isIndexed, names, morphNames) {
+	const error = (message) => {
+		console.error(`mergeGeometries: geometry ${i} (${geometry.type} ${geometry.name}) ${message}`);
+		throw new Error(`mergeGeometries: geometry ${i} (${geometry.type} ${geometry.name}) ${message}`);
+	};
+
+	if ((geometry.index !== null) !== isIndexed) {
+		error(isIndexed ? 'has no index, but the first geometry has one!' : 'has an index, but the first geometry has none!');
+	}
+	if (geometry.drawMode !== first.drawMode) {
+		error(`has draw mode ${geometry.drawMode} instead of ${first.drawMode}!`);
+	}
+
+	const geometryNames = Object.keys(geometry.attributes);
+	if (geometryNames.length !== names.length || !names.every((name) => geometry.attributes[name] !== undefined)) {
+		error(`has attributes ${geometryNames.join(', ')} instead of ${names.join(', ')}!`);
+	}
+
+	const geometryMorphNames = Object.keys(geometry.morphAttributes);
+	if (geometryMorphNames.length !== morphNames.length || !morphNames.every((name) => geometry.morphAttributes[name] !== undefined)) {
+		error(`has morph targets for ${geometryMorphNames.join(', ')} instead of ${morphNames.join(', ')}!`);
+	}
+
+	const compare = (name, a, b) => {
+		if (a.itemSize !== b.itemSize) {
+			error(`has attribute ${name} with item size ${b.itemSize} instead of ${a.itemSize}!`);
+		}
+		if (getArrayType(a) !== getArrayType(b)) {
+			error(`has attribute ${name} of type ${getArrayType(b)} instead of ${getArrayType(a)}!`);
+		}
+		for (const key of ['normalized', 'normalize', 'integer', 'type']) {
+			if (a[key] !== b[key]) {
+				error(`has attribute ${name} with ${key} ${b[key]} instead of ${a[key]}!`);
+			}
+		}
+	};
+
+	for (const name of names) {
+		compare(name, first.attributes[name], geometry.attributes[name]);
+	}
+
+	for (const name of morphNames) {
+		const targets = geometry.morphAttributes[name];
+		if (targets.length !== first.morphAttributes[name].length) {
+			error(`has ${targets.length} morph targets for ${name} instead of ${first.morphAttributes[name].length}!`);
+		}
+		targets.forEach((target, t) => {
+			compare(`${name} of morph target ${t}`, first.morphAttributes[name][t], target);
+		});
+	}
+}
+
+function getArrayType(attribute) {
+	const array = (attribute.data !== undefined) ? attribute.data.array : attribute.array;
+	return ArrayBuffer.isView(array) ? array.constructor.name : 'Array';
+}
+
+// the scoring of Forsyth's algorithm
+const cacheDecayPower = 1.5;
+const lastTriangleScore = 0.75;
+const valenceBoostScale = 2.0;
+const valenceBoostPower = 0.5;
+
+function getVertexScore(cachePosition, remainingTriangles, cacheSize) {
+	if (remainingTriangles === 0) return -1.0; // no triangle needs this vertex anymore
+
+	let score = 0.0;
+	if (cachePosition >= 0) {
+		if (cachePosition < 3) {
+			score = lastTriangleScore; // used by the last triangle, no matter which position
+		} else {
+			score = Math.pow(1.0 - (cachePosition - 3) / (cacheSize - 3), cacheDecayPower);
+		}
+	}
+
+	// vertices with few remaining triangles are preferred to avoid leaving single triangles behind
+	return score + valenceBoostScale * Math.pow(remainingTriangles, - valenceBoostPower);
+}
+
+/**
+ * Returns the triangles of an index in an order for a better vertex cache hit rate.
+ * @param {Uint8Array|Uint16Array|Uint32Array} indices the indices of the triangles.
+ * @param {number} vertexCount the number of vertices.
+ * @param {number} cacheSize the size of the simulated LRU cache.
+ * @returns {number[]} the reordered indices.
+ */
+function optimizeTriangleOrder(indices, vertexCount, cacheSize) {
+	const triangleCount = indices.length / 3;
+
+	// the triangles of each vertex, the live ones are the first remaining[v] entries from offsets[v]
+	const remaining = new Uint32Array(vertexCount);
+	for (let i = 0; i < indices.length; i++) remaining[indices[i]]++;
+
+	const offsets = new Uint32Array(vertexCount + 1);
+	for (let v = 0; v < vertexCount; v++) offsets[v + 1] = offsets[v] + remaining[v];
+
+	const vertexTriangles = new Uint32Array(indices.length);
+	const filled = new Uint32Array(vertexCount);
+	for (let t = 0; t < triangleCount; t++) {
+		for (let k = 0; k < 3; k++) {
+			const v = indices[t * 3 + k];
+			vertexTriangles[offsets[v] + filled[v]++] = t;
+		}
+	}
+
+	const cachePosition = new Int32Array(vertexCount).fill(-1);
+	const vertexScore = new Float32Array(vertexCount);
+	for (let v = 0; v < vertexCount; v++) vertexScore[v] = getVertexScore(-1, remaining[v], cacheSize);
+
+	const triangleScore = new Float32Array(triangleCount);
+	for (let t = 0; t < triangleCount; t++) {
+		triangleScore[t] = vertexScore[indices[t * 3]] + vertexScore[indices[t * 3 + 1]] + vertexScore[indices[t * 3 + 2]];
+	}
+
+	const emitted = new Uint8Array(triangleCount);
+	const result = [];
+	let cache = [];
+	let best = -1;
+	let nextUnemitted = 0; // where to continue when no cached vertex has triangles left
+
+	for (let n = 0; n < triangleCount; n++) {
+		if (best === -1) {
+			while (emitted[nextUnemitted] === 1) nextUnemitted++;
+			best = nextUnemitted;
+		}
+
+		emitted[best] = 1;
+		const triangle = [indices[best * 3], indices[best * 3 + 1], indices[best * 3 + 2]];
+		result.push(...triangle);
+
+		// remove the triangle from the live triangles of its vertices
+		for (const v of triangle) {
+			const start = offsets[v];
+			const last = start + remaining[v] - 1;
+			for (let i = start; i <= last; i++) {
+				if (vertexTriangles[i] === best) {
+					vertexTriangles[i] = vertexTriangles[last];
+					vertexTriangles[last] = best;
+					break;
+				}
+			}
+			remaining[v]--;
+		}
+
+		// move the vertices of the triangle to the front of the cache, the ones at the end drop out
+		const newCache = triangle.concat(cache.filter((v) => triangle.indexOf(v) === -1));
+		for (let i = cacheSize; i < newCache.length; i++) {
+			cachePosition[newCache[i]] = -1;
+			vertexScore[newCache[i]] = getVertexScore(-1, remaining[newCache[i]], cacheSize);
+		}
+		cache = newCache.slice(0, cacheSize);
+
+		for (let i = 0; i < cache.length; i++) {
+			cachePosition[cache[i]] = i;
+			vertexScore[cache[i]] = getVertexScore(i, remaining[cache[i]], cacheSize);
+		}
+
+		// rescore the triangles of the changed vertices and continue with the best one
+		best = -1;
+		let bestScore = -Infinity;
+		for (const v of newCache) {
+			for (let i = offsets[v], end = offsets[v] + remaining[v]; i < end; i++) {
+				const t = vertexTriangles[i];
+				triangleScore[t] = vertexScore[indices[t * 3]] + vertexScore[indices[t * 3 + 1]] + vertexScore[indices[t * 3 + 2]];
+				if (triangleScore[t] > bestScore) {
+					bestScore = triangleScore[t];
+					best = t;
+				}
+			}
+		}
+	}
+
+	return result;
+}
@@ -1,35 +1,10 @@
-import { createProgram } from "./gop/core/ShaderHelper.js";
 import { Matrix4 } from "./gop/math/Matrix4.js";
 import { Color } from "./gop/math/Color.js";
 import { BufferGeometry } from "./gop/core/BufferGeometry.js";
-import { WebGLProgram } from "./gop/core/WebGLProgram.js";
+import { getProgram } from "./gop/core/ProgramCache.js";
 
 import GUI from "./gop/lil-gui/lil-gui.module.min.js";
 
-var vs = `#version 300 es
-layout(location=0) in vec3 position;
-layout(location=1) in vec4 color; // RGBA (NEW)
-uniform mat4 modelMatrix;
-out vec4 v_color; // output to fs and interpolated by the rasterizer (NEW!)
-void main() {
-gl_Position = modelMatrix * vec4( position, 1.0 );
-v_color = color; // (NEW)
-}
-`;
-
-var fs = `#version 300 es
-precision highp float;
-
-uniform vec3 color; // color input
-out vec4 fragColor; // fragment color output
-
-in vec4 v_color; // input from vertex shader (NEW)
-
-void main() {
-fragColor = vec4( v_color.rgb, 1.0 ); // only assign the fragment color (NEW)
-}
-`;
-
 function main() {
   // Get A WebGL context
   /** @type {HTMLCanvasElement} */
@@ -78,12 +53,8 @@ function main() {
     3, // second triangle
   ]);
 
-  // setup GLSL program
-  const program = createProgram(gl, [vs, fs]);
-
-  // look up where the vertex data needs to go.
-  const positionLocation = 0; // using layout(location=0) in the shaders
-  // optionally you can use gl.getAttribLocation(program, "a_position");
+  // setup GLSL program once, drawScene is called again for every change in the GUI
+  const program = getProgram(gl);
 
   // Draw the scene.
   function drawScene() {
@@ -116,9 +87,6 @@ function main() {
       new Matrix4().makeScale(controls.scale.x, controls.scale.y, 1)
     );
 
-    // setup GLSL program
-    const program = new WebGLProgram(gl); //( NEW!)
-
     program.use(); //( NEW!)
     program.setUniform("modelMatrix", matrix); //( NEW!)
     program.setUniform("color", controls.color); //( NEW!)